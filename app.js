@@ -1,30 +1,136 @@
-// Speech Recognition Web App using Web Speech API
+// Speech Recognition Web App with pluggable recognizer engines (Vosk offline or Web Speech API)
+
+import { WebSpeechEngine, VoskEngine, ScriptedEngine, parseRecognizerScript, DEFAULT_VOSK_MODEL_PATH } from './recognizers.js';
+import { AudioStore } from './audio-store.js';
+import { createZip, readZip } from './zip.js';
+import { TriggerMatcher, DEFAULT_MIN_SCORE, templateSlots, fillTemplate } from './trigger-matcher.js';
+import { PlaybackEngine } from './playback-engine.js';
+import { SessionRecorder } from './session-recorder.js';
+import { ResultStreamNormalizer } from './result-stream.js';
+import { ActionRun, runActions, normalizeActions, actionClipPaths, mapActionClips, mapActionStrings } from './trigger-actions.js';
+import { synthesizeNotation, parseNotation, parseTonic, DEFAULT_TONIC, DEFAULT_TEMPO } from './swara-synth.js';
+import { semitonesBetween } from './pitch-shift.js';
+import { RagaCatalog, ragaClassification } from './raga-catalog.js';
+import { MicInput } from './mic-input.js';
+import { Visualizer } from './visualizer.js';
+import { NoteDetector, parseNote, noteFrequency, DEFAULT_HOLD_MS } from './note-detector.js';
+import { VoiceActivityDetector, DEFAULT_MIN_SILENCE_MS } from './voice-activity.js';
+import { firingState, recordFiring, resetFiring } from './trigger-firing.js';
+import { PLAYBACK_POLICIES, DEFAULT_PLAYBACK_POLICY, applyPlaybackPolicy } from './playback-policy.js';
+import { WakeArming, wordsAfterWakePhrase } from './wake-phrase.js';
+
+// Recognition/TTS languages. detectedMessage is spoken when a trigger has no audio.
+const LANGUAGES = {
+    'en-US': { label: 'English (US)', detectedMessage: 'Trigger phrase detected: {phrase}' },
+    'en-IN': { label: 'English (India)', detectedMessage: 'Trigger phrase detected: {phrase}' },
+    'ta-IN': { label: 'தமிழ் (Tamil)', detectedMessage: 'தூண்டுதல் சொற்றொடர் கண்டறியப்பட்டது: {phrase}' },
+    'te-IN': { label: 'తెలుగు (Telugu)', detectedMessage: 'ట్రిగ్గర్ పదబంధం గుర్తించబడింది: {phrase}' },
+    'kn-IN': { label: 'ಕನ್ನಡ (Kannada)', detectedMessage: 'ಟ್ರಿಗರ್ ನುಡಿಗಟ್ಟು ಪತ್ತೆಯಾಗಿದೆ: {phrase}' },
+    'hi-IN': { label: 'हिन्दी (Hindi)', detectedMessage: 'ट्रिगर वाक्यांश मिला: {phrase}' }
+};
+const DEFAULT_LANGUAGE = 'en-US';
+
+const INTERRUPT_FADE_MS = 150; // Fade-out of the current clip when a trigger interrupts it
+
+// Self-trigger suppression: recognition results that arrive while (or just after) our own clip
+// or TTS is playing are ignored or held to a stricter threshold. Recognizers report results
+// with some delay, hence the tail after playback ends.
+const SELF_AUDIO_TAIL_MS = 1000;
+const SELF_AUDIO_MARGIN = 0.1; // Added to the match threshold (capped at 1, so exact matches still fire)
+
+// Soundboard keys handleShortcutKey keeps for itself; a trigger can't be bound to them
+const RESERVED_SHORTCUT_KEYS = {
+    r: 'R replays the last clip',
+    escape: 'Escape stops all playback'
+};
+
+const DEFAULT_WAKE_WINDOW_S = 15; // How long the wake phrase keeps triggers armed in 'window' mode
+
+const MIC_ANALYSIS_INTERVAL_MS = 50; // How often pause detection and sung-note triggers look at the mic
+
+const AUDIO_MIME_TYPES = {
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    ogg: 'audio/ogg',
+    oga: 'audio/ogg',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    webm: 'audio/webm',
+    flac: 'audio/flac'
+};
 
 class SpeechRecognitionApp {
     constructor() {
-        this.recognizer = null;
+        this.recognizer = null; // Active recognizer engine (see recognizers.js)
+        this.recognizerBackend = localStorage.getItem('recognizerBackend') || 'auto'; // 'auto', 'vosk' or 'webspeech'
+        this.voskModelPath = localStorage.getItem('voskModelPath') || DEFAULT_VOSK_MODEL_PATH;
         this.isListening = false;
         this.isPlaying = false;
         this.audioContext = null;
         this.triggerPhrases = []; // Array of {phrase: string, audioFile: File/string, audioUrl: string}
         this.audioElements = new Map(); // Cache audio elements for iOS compatibility
+        this.audioStore = new AudioStore(); // IndexedDB blobs for uploaded/generated audio, keyed by trigger id
         this.audioUnlocked = false; // Track if audio is unlocked for iOS
-        this.pauseDuration = 1500;
+        this.playbackEngine = null; // Decoded AudioBuffer playback on the shared audioContext
+        this.preloadRun = 0; // Bumped per preloadAudioBuffers() call; an older pass stops early
+        this.useBufferPlayback = localStorage.getItem('playbackMode') !== 'element'; // false = legacy <audio> elements
+        this.playbackPolicy = localStorage.getItem('playbackPolicy') || DEFAULT_PLAYBACK_POLICY; // Global default, see PLAYBACK_POLICIES
+        this.playbackQueue = []; // Triggers waiting for the current clip to finish
+        this.activeAudioElement = null; // { audio, finish } while the <audio> fallback is playing
+        this.replayScript = null; // Parsed recognizer script waiting to be replayed
+        this.replay = null; // { engine, previous, headless, report } while a script replays
+        this.headlessPlayback = null; // { finish } while a headless replay stands in for a clip
+        this.actionRun = null; // ActionRun of the trigger action pipeline in progress
+        this.actionMessageTimer = null;
+        this.ragaCatalog = new RagaCatalog(); // Raga metadata for clips, from ragas.json
+        this.showVisualizer = localStorage.getItem('showVisualizer') !== 'false'; // Live level meter, spectrogram and pitch trace
+        this.micInput = null; // MicInput analysing the mic alongside the recognizer
+        this.visualizer = null;
+        this.noteDetector = new NoteDetector(); // Sung-note triggers
+        this.voiceActivity = new VoiceActivityDetector(); // Decides when the speaker has paused
+        this.micAnalysisTimer = null;
+        this.detectPauses = localStorage.getItem('detectPauses') !== 'false'; // Wait for a real pause, not a fixed time
+        this.minSilence = parseInt(localStorage.getItem('minSilence')) || DEFAULT_MIN_SILENCE_MS; // Quiet this long counts as a pause
+        this.listenDuringPlayback = localStorage.getItem('listenDuringPlayback') === 'true'; // Keep recognizer running over clips
+        this.selfAudioMode = localStorage.getItem('selfAudioMode') || 'downweight'; // 'ignore' or 'downweight' speech heard over our audio
+        this.selfAudioWindows = []; // { start, end } times our own clips/TTS were audible
+        this.lastPlayedTrigger = null; // For the soundboard's "replay last clip"
+        this.playingTrigger = null;
+        this.pauseDuration = 1500; // Longest wait for a pause before playing anyway (the whole wait without the mic)
+        this.matchThreshold = parseFloat(localStorage.getItem('matchThreshold')) || DEFAULT_MIN_SCORE; // Default minimum match score
+        this.language = localStorage.getItem('language') || DEFAULT_LANGUAGE; // Recognition, TTS and matcher language
+        this.matcher = new TriggerMatcher({ minScore: this.matchThreshold, lang: this.language });
+        this.wakePhrase = localStorage.getItem('wakePhrase') || ''; // When set, triggers stay disarmed until it's heard
+        this.wakeMode = localStorage.getItem('wakeMode') || 'window'; // The wake phrase arms a 'window' or a single 'cue'
+        this.wakeWindow = parseInt(localStorage.getItem('wakeWindow')) || DEFAULT_WAKE_WINDOW_S;
+        this.wakeMatcher = new TriggerMatcher({ minScore: this.matchThreshold, lang: this.language }); // Only ever sees the wake phrase
+        this.wakeArming = new WakeArming();
+        this.vocabularies = {}; // Slot vocabularies for template triggers, e.g. { raga: ['mohana', ...] }
+        this.maxAlternatives = parseInt(localStorage.getItem('maxAlternatives')) || 3; // Recognition alternatives to match against
+        this.sequentialMode = localStorage.getItem('sequentialMode') === 'true'; // Lesson mode: expect triggers in list order
+        this.cueLookahead = parseInt(localStorage.getItem('cueLookahead')) || 2; // How many upcoming cues are armed in lesson mode
+        this.tonic = localStorage.getItem('tonic') || DEFAULT_TONIC; // Shruti: the Sa clips are transposed to and swaras synthesized at
+        this.recordedTonic = localStorage.getItem('recordedTonic') || DEFAULT_TONIC; // Sa of recordings that don't say their own
+        this.cueCursor = 0; // Index of the next expected cue in lesson mode
+        this.sessionStartTime = null; // Set when listening starts; firing windows are relative to it
+        this.triggerStateTimer = null; // Refreshes cooldown/exhausted badges while listening
+        this.sessionRecorder = new SessionRecorder(); // Transcript/trigger/playback history for export
+        this.segmentStartTime = null; // When the utterance being recognized started
         this.lastSpeechTime = 0;
-        this.pauseTimer = null;
+        this.pauseTimer = null; // PauseWait between a match and its playback
         this.currentTranscript = '';
         this.words = [];
         this.triggerDetectedInCurrentSession = false;
         this.detectedTrigger = null; // Store which trigger was detected
-        this.lastProcessedResultIndex = -1; // Track the last result index we processed to avoid duplicates
-        this.isCumulativePlatform = null; // Track if platform uses cumulative results (Android) or incremental (iPhone/Laptop)
+        this.resultStream = new ResultStreamNormalizer(); // Only new finalized text, cumulative (Android) or incremental results
         this.pendingFinalTranscript = ''; // Buffer final results until pause
-        this.pauseCheckTimer = null; // Timer to check for pause
+        this.transcriptPause = null; // PauseWait before the buffered final result is shown
         
         this.initializeElements();
         this.setupEventListeners();
         this.initializeAudioContext();
         this.loadModel();
+        this.loadRagaCatalog();
         // Load defaults after a short delay to ensure audio context is ready
         setTimeout(() => this.loadDefaultTriggers(), 100);
     }
@@ -32,6 +138,7 @@ class SpeechRecognitionApp {
     initializeElements() {
         this.statusIndicator = document.getElementById('statusIndicator');
         this.statusText = document.getElementById('statusText');
+        this.wakeStatusDiv = document.getElementById('wakeStatus');
         this.statusDot = this.statusIndicator.querySelector('.status-dot');
         this.modelStatus = document.getElementById('modelStatus');
         this.startBtn = document.getElementById('startBtn');
@@ -40,10 +147,58 @@ class SpeechRecognitionApp {
         this.transcriptDiv = document.getElementById('transcript');
         this.triggerLog = document.getElementById('triggerLog');
         this.pauseDurationInput = document.getElementById('pauseDuration');
+        this.matchThresholdInput = document.getElementById('matchThreshold');
+        this.languageSelect = document.getElementById('language');
+        this.playbackModeSelect = document.getElementById('playbackMode');
+        this.playbackPolicySelect = document.getElementById('playbackPolicy');
+        this.playbackQueueDiv = document.getElementById('playbackQueue');
+        this.playbackQueueList = document.getElementById('playbackQueueList');
+        this.clearQueueBtn = document.getElementById('clearQueueBtn');
+        this.historyExportButtons = document.querySelectorAll('[data-history-format]');
+        this.clearHistoryBtn = document.getElementById('clearHistoryBtn');
+        this.replayScriptInput = document.getElementById('replayScriptInput');
+        this.replayHeadlessInput = document.getElementById('replayHeadless');
+        this.replayBtn = document.getElementById('replayBtn');
+        this.replayReportDiv = document.getElementById('replayReport');
+        this.actionMessageDiv = document.getElementById('actionMessage');
+        this.ragaCardDiv = document.getElementById('ragaCard');
+        this.ragaSearchInput = document.getElementById('ragaSearch');
+        this.ragaListDiv = document.getElementById('ragaList');
+        this.visualizerPanel = document.getElementById('visualizerPanel');
+        this.showVisualizerInput = document.getElementById('showVisualizer');
+        this.detectPausesInput = document.getElementById('detectPauses');
+        this.wakePhraseInput = document.getElementById('wakePhrase');
+        this.wakeModeSelect = document.getElementById('wakeMode');
+        this.wakeWindowInput = document.getElementById('wakeWindow');
+        this.minSilenceInput = document.getElementById('minSilence');
+        this.soundboardGrid = document.getElementById('soundboardGrid');
+        this.replayLastBtn = document.getElementById('replayLastBtn');
+        this.stopPlaybackBtn = document.getElementById('stopPlaybackBtn');
+        this.listenDuringPlaybackInput = document.getElementById('listenDuringPlayback');
+        this.selfAudioModeSelect = document.getElementById('selfAudioMode');
+        this.maxAlternativesInput = document.getElementById('maxAlternatives');
+        this.sequentialModeInput = document.getElementById('sequentialMode');
+        this.cueLookaheadInput = document.getElementById('cueLookahead');
+        this.cuePanel = document.getElementById('cuePanel');
+        this.nextCueText = document.getElementById('nextCueText');
+        this.armedCuesText = document.getElementById('armedCuesText');
+        this.cueBackBtn = document.getElementById('cueBackBtn');
+        this.cueSkipBtn = document.getElementById('cueSkipBtn');
+        this.cueRestartBtn = document.getElementById('cueRestartBtn');
+        this.recognizerBackendSelect = document.getElementById('recognizerBackend');
+        this.voskModelPathInput = document.getElementById('voskModelPath');
+        this.tonicInput = document.getElementById('tonic');
+        this.recordedTonicInput = document.getElementById('recordedTonic');
         this.debugLog = document.getElementById('debugLog');
         this.debugPanel = document.getElementById('debugPanel');
         this.toggleDebugBtn = document.getElementById('toggleDebug');
         this.clearDebugBtn = document.getElementById('clearDebug');
+        this.triggersList = document.getElementById('triggersList');
+        this.addTriggerBtn = document.getElementById('addTriggerBtn');
+        this.resetTriggersBtn = document.getElementById('resetTriggersBtn');
+        this.exportPackBtn = document.getElementById('exportPackBtn');
+        this.importPackInput = document.getElementById('importPackInput');
+        this.importModeSelect = document.getElementById('importMode');
         
         // Initialize debug console
         this.setupDebugConsole();
@@ -56,7 +211,225 @@ class SpeechRecognitionApp {
         this.pauseDurationInput.addEventListener('change', (e) => {
             this.pauseDuration = parseInt(e.target.value);
         });
+
+        if (this.languageSelect) {
+            Object.entries(LANGUAGES).forEach(([code, { label }]) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = label;
+                this.languageSelect.appendChild(option);
+            });
+            this.languageSelect.value = this.language;
+            this.languageSelect.addEventListener('change', (e) => this.setLanguage(e.target.value));
+        }
+        if (this.playbackModeSelect) {
+            this.playbackModeSelect.value = this.useBufferPlayback ? 'buffer' : 'element';
+            this.playbackModeSelect.addEventListener('change', (e) => {
+                this.useBufferPlayback = e.target.value !== 'element';
+                localStorage.setItem('playbackMode', e.target.value);
+                if (this.useBufferPlayback) {
+                    this.preloadAudioBuffers();
+                }
+            });
+        }
+        if (this.playbackPolicySelect) {
+            this.playbackPolicySelect.value = this.playbackPolicy;
+            this.playbackPolicySelect.addEventListener('change', (e) => {
+                this.playbackPolicy = e.target.value;
+                localStorage.setItem('playbackPolicy', this.playbackPolicy);
+            });
+        }
+        if (this.listenDuringPlaybackInput) {
+            this.listenDuringPlaybackInput.checked = this.listenDuringPlayback;
+            this.listenDuringPlaybackInput.addEventListener('change', (e) => {
+                this.listenDuringPlayback = e.target.checked;
+                localStorage.setItem('listenDuringPlayback', this.listenDuringPlayback);
+            });
+        }
+        if (this.selfAudioModeSelect) {
+            this.selfAudioModeSelect.value = this.selfAudioMode;
+            this.selfAudioModeSelect.addEventListener('change', (e) => {
+                this.selfAudioMode = e.target.value;
+                localStorage.setItem('selfAudioMode', this.selfAudioMode);
+            });
+        }
+        if (this.clearQueueBtn) {
+            this.clearQueueBtn.addEventListener('click', () => this.clearPlaybackQueue());
+        }
+        this.historyExportButtons.forEach(button => {
+            button.addEventListener('click', () => this.exportSessionHistory(button.dataset.historyFormat));
+        });
+        if (this.clearHistoryBtn) {
+            this.clearHistoryBtn.addEventListener('click', () => this.clearSessionHistory());
+        }
+        if (this.replayScriptInput) {
+            this.replayScriptInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) this.loadReplayScript(file);
+            });
+        }
+        if (this.replayBtn) {
+            this.replayBtn.addEventListener('click', () => this.startReplay());
+        }
+        if (this.actionMessageDiv) {
+            this.actionMessageDiv.addEventListener('click', () => this.hideActionMessage());
+        }
+        if (this.ragaSearchInput) {
+            this.ragaSearchInput.addEventListener('input', () => this.renderRagaLibrary());
+        }
+        if (this.showVisualizerInput) {
+            this.showVisualizerInput.checked = this.showVisualizer;
+            this.showVisualizerInput.addEventListener('change', (e) => this.setShowVisualizer(e.target.checked));
+        }
+        if (this.detectPausesInput) {
+            this.detectPausesInput.checked = this.detectPauses;
+            this.detectPausesInput.addEventListener('change', (e) => {
+                this.detectPauses = e.target.checked;
+                localStorage.setItem('detectPauses', this.detectPauses);
+                this.updateMicInput();
+            });
+        }
+        if (this.wakePhraseInput) {
+            this.wakePhraseInput.value = this.wakePhrase;
+            this.wakePhraseInput.addEventListener('change', (e) => this.setWakePhrase(e.target.value));
+        }
+        if (this.wakeModeSelect) {
+            this.wakeModeSelect.value = this.wakeMode;
+            this.wakeModeSelect.addEventListener('change', (e) => {
+                this.wakeMode = e.target.value === 'cue' ? 'cue' : 'window';
+                localStorage.setItem('wakeMode', this.wakeMode);
+                this.disarmWake();
+            });
+        }
+        if (this.wakeWindowInput) {
+            this.wakeWindowInput.value = this.wakeWindow;
+            this.wakeWindowInput.addEventListener('change', (e) => {
+                this.wakeWindow = parseInt(e.target.value) || DEFAULT_WAKE_WINDOW_S;
+                localStorage.setItem('wakeWindow', this.wakeWindow);
+            });
+        }
+        this.renderWakeStatus();
+        if (this.minSilenceInput) {
+            this.minSilenceInput.value = this.minSilence;
+            this.minSilenceInput.addEventListener('change', (e) => {
+                this.minSilence = parseInt(e.target.value) || DEFAULT_MIN_SILENCE_MS;
+                localStorage.setItem('minSilence', this.minSilence);
+            });
+        }
+        if (this.matchThresholdInput) {
+            this.matchThresholdInput.value = this.matchThreshold;
+            this.matchThresholdInput.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                this.matchThreshold = value > 0 && value <= 1 ? value : DEFAULT_MIN_SCORE;
+                this.matcher.minScore = this.matchThreshold;
+                this.wakeMatcher.minScore = this.matchThreshold;
+                localStorage.setItem('matchThreshold', this.matchThreshold);
+                this.renderTriggerList();
+            });
+        }
+
+        if (this.maxAlternativesInput) {
+            this.maxAlternativesInput.value = this.maxAlternatives;
+            this.maxAlternativesInput.addEventListener('change', (e) => {
+                this.maxAlternatives = Math.min(10, Math.max(1, parseInt(e.target.value) || 1));
+                localStorage.setItem('maxAlternatives', this.maxAlternatives);
+                // The engine reads maxAlternatives when it's created
+                if (this.recognizer instanceof WebSpeechEngine) {
+                    this.reloadRecognizer();
+                }
+            });
+        }
+
+        // Lesson (cue list) mode
+        if (this.sequentialModeInput) {
+            this.sequentialModeInput.checked = this.sequentialMode;
+            this.sequentialModeInput.addEventListener('change', (e) => {
+                this.sequentialMode = e.target.checked;
+                localStorage.setItem('sequentialMode', this.sequentialMode);
+                this.renderTriggerList();
+            });
+        }
+        if (this.cueLookaheadInput) {
+            this.cueLookaheadInput.value = this.cueLookahead;
+            this.cueLookaheadInput.addEventListener('change', (e) => {
+                this.cueLookahead = Math.max(1, parseInt(e.target.value) || 1);
+                localStorage.setItem('cueLookahead', this.cueLookahead);
+                this.renderTriggerList();
+            });
+        }
+        if (this.cueBackBtn) {
+            this.cueBackBtn.addEventListener('click', () => this.moveCueCursor(-1));
+        }
+        if (this.cueSkipBtn) {
+            this.cueSkipBtn.addEventListener('click', () => this.moveCueCursor(1));
+        }
+        if (this.cueRestartBtn) {
+            this.cueRestartBtn.addEventListener('click', () => this.setCueCursor(0));
+        }
+
+        // Recognizer engine settings - switching engines reloads the recognizer
+        if (this.recognizerBackendSelect) {
+            this.recognizerBackendSelect.value = this.recognizerBackend;
+            this.recognizerBackendSelect.addEventListener('change', (e) => {
+                this.recognizerBackend = e.target.value;
+                localStorage.setItem('recognizerBackend', this.recognizerBackend);
+                this.reloadRecognizer();
+            });
+        }
+        if (this.voskModelPathInput) {
+            this.voskModelPathInput.value = this.voskModelPath;
+            this.voskModelPathInput.addEventListener('change', (e) => {
+                this.voskModelPath = e.target.value.trim() || DEFAULT_VOSK_MODEL_PATH;
+                localStorage.setItem('voskModelPath', this.voskModelPath);
+                if (this.recognizerBackend !== 'webspeech') {
+                    this.reloadRecognizer();
+                }
+            });
+        }
+        if (this.tonicInput) {
+            this.tonicInput.value = this.tonic;
+            this.tonicInput.addEventListener('change', (e) => this.setGlobalTonic('tonic', e.target.value));
+        }
+        if (this.recordedTonicInput) {
+            this.recordedTonicInput.value = this.recordedTonic;
+            this.recordedTonicInput.addEventListener('change', (e) => this.setGlobalTonic('recordedTonic', e.target.value));
+        }
         
+        // Trigger editor controls
+        if (this.addTriggerBtn) {
+            this.addTriggerBtn.addEventListener('click', () => {
+                const trigger = this.addTriggerPhrase('');
+                const inputs = this.triggersList.querySelectorAll('.trigger-phrase-input');
+                const index = this.triggerPhrases.indexOf(trigger);
+                if (inputs[index]) inputs[index].focus();
+            });
+        }
+        if (this.resetTriggersBtn) {
+            this.resetTriggersBtn.addEventListener('click', () => this.resetTriggersToPackaged());
+        }
+        if (this.exportPackBtn) {
+            this.exportPackBtn.addEventListener('click', () => this.exportTriggerPack());
+        }
+        if (this.importPackInput) {
+            this.importPackInput.addEventListener('change', async (e) => {
+                const file = e.target.files && e.target.files[0];
+                if (file) {
+                    const mode = this.importModeSelect ? this.importModeSelect.value : 'replace';
+                    await this.importTriggerPack(file, mode);
+                }
+                e.target.value = ''; // Allow importing the same file again
+            });
+        }
+
+        // Soundboard: manual firing by button or keyboard
+        if (this.replayLastBtn) {
+            this.replayLastBtn.addEventListener('click', () => this.replayLastClip());
+        }
+        if (this.stopPlaybackBtn) {
+            this.stopPlaybackBtn.addEventListener('click', () => this.stopAllPlayback());
+        }
+        document.addEventListener('keydown', (e) => this.handleShortcutKey(e));
+
         // Debug console controls
         if (this.toggleDebugBtn) {
             this.toggleDebugBtn.addEventListener('click', () => this.toggleDebugConsole());
@@ -90,7 +463,11 @@ class SpeechRecognitionApp {
                 }
             }
             
-            entry.innerHTML = `<span class="debug-timestamp">[${timestamp}]</span>${formattedMessage}`;
+            // Messages quote phrases and transcripts from imported packs: text only, never markup
+            const time = document.createElement('span');
+            time.className = 'debug-timestamp';
+            time.textContent = `[${timestamp}]`;
+            entry.append(time, String(formattedMessage));
             this.debugLog.appendChild(entry);
             
             // Auto-scroll to bottom
@@ -143,21 +520,25 @@ class SpeechRecognitionApp {
         }
     }
 
-    loadDefaultTriggers() {
+    async loadDefaultTriggers() {
         // Load default trigger phrases if any exist in localStorage
         const saved = localStorage.getItem('triggerPhrases');
         if (saved) {
             try {
                 const parsed = JSON.parse(saved);
                 console.log(`Loading ${parsed.length} triggers from localStorage`);
+                this.setVocabularies(JSON.parse(localStorage.getItem('vocabularies') || '{}'));
                 // Restore triggers with proper structure (File objects can't be saved)
-                this.triggerPhrases = parsed.map((t, index) => ({
+                this.triggerPhrases = parsed.map((t, index) => this.applyTriggerConfig({
                     id: t.id || Date.now() + index + Math.random(), // Use saved ID or generate new one
                     phrase: t.phrase,
                     audioFile: t.audioFile || null, // Restore audioFile path if available
                     audioUrl: t.audioUrl || t.audioFile || null, // Use audioUrl or fallback to audioFile
-                    isDefault: t.isDefault || false
-                }));
+                    isDefault: t.isDefault || false,
+                    hasStoredAudio: t.hasStoredAudio || false, // Audio blob lives in IndexedDB
+                    storedClipPaths: t.storedClipPaths || [] // Extra clips (audioMap, actions) whose blobs live in IndexedDB
+                }, t));
+                this.refreshVocabularies();
                 
                 // Restore audioUrl from audioFile if audioUrl is missing
                 this.triggerPhrases.forEach(trigger => {
@@ -167,15 +548,23 @@ class SpeechRecognitionApp {
                     }
                 });
                 
+                // Uploaded files and generated tones come back from IndexedDB as fresh blob URLs
+                await this.restoreStoredAudio();
+                
                 // Pre-load audio elements after restoring URLs
                 this.preloadAudioElements();
+                this.renderTriggerList();
                 
-                // If we have default triggers without audio URLs (blob URLs don't persist),
+                // If we have default triggers whose audio couldn't be restored,
                 // regenerate the audio for them
-                const needsRegeneration = this.triggerPhrases.some(t => t.isDefault && !t.audioUrl);
+                const needsRegeneration = this.triggerPhrases.some(t => t.isDefault && !t.audioUrl && !t.audioMap && !t.synth);
                 if (needsRegeneration) {
                     this.regenerateDefaultAudio();
                 }
+                // Synthesized clips that didn't make it into IndexedDB are cheap to render again
+                this.triggerPhrases
+                    .filter(t => t.synth && !t.audioUrl)
+                    .forEach(t => this.synthesizeTriggerAudio(t));
             } catch (e) {
                 console.error('Error loading saved triggers:', e);
                 // If loading fails, initialize defaults
@@ -187,6 +576,121 @@ class SpeechRecognitionApp {
         }
     }
 
+    async restoreStoredAudio() {
+        await this.restoreStoredClips();
+
+        const pending = this.triggerPhrases.filter(t => t.hasStoredAudio && !t.audioUrl);
+        if (pending.length === 0) return;
+
+        console.log(`Restoring ${pending.length} audio clips from IndexedDB...`);
+        for (const trigger of pending) {
+            try {
+                const blob = await this.audioStore.get(trigger.id);
+                if (blob) {
+                    trigger.audioFile = blob;
+                    trigger.audioUrl = URL.createObjectURL(blob);
+                    console.log(`✓ Restored stored audio for: ${trigger.phrase}`);
+                } else {
+                    console.warn(`✗ Stored audio missing for: ${trigger.phrase}`);
+                    trigger.hasStoredAudio = false;
+                }
+            } catch (error) {
+                console.warn(`Could not read stored audio for "${trigger.phrase}":`, error);
+            }
+        }
+    }
+
+    async restoreStoredClips() {
+        for (const trigger of this.triggerPhrases) {
+            for (const path of trigger.storedClipPaths) {
+                try {
+                    const blob = await this.audioStore.get(this.clipKey(trigger, path));
+                    if (blob) {
+                        trigger.clipUrls[path] = URL.createObjectURL(blob);
+                    } else {
+                        console.warn(`✗ Stored audio missing for "${trigger.phrase}" (${path})`);
+                    }
+                } catch (error) {
+                    console.warn(`Could not read stored audio for "${trigger.phrase}" (${path}):`, error);
+                }
+            }
+        }
+    }
+
+    persistTriggerAudio(trigger, blob) {
+        // Keep the blob so the trigger's audio survives a reload
+        this.audioStore.put(trigger.id, blob)
+            .then(() => {
+                trigger.hasStoredAudio = true;
+                this.saveTriggers();
+            })
+            .catch(error => console.warn(`Could not store audio for "${trigger.phrase}":`, error));
+    }
+
+    discardStoredAudio(trigger) {
+        trigger.storedClipPaths.forEach(path => {
+            this.audioStore.delete(this.clipKey(trigger, path))
+                .catch(error => console.warn(`Could not delete stored audio for "${trigger.phrase}" (${path}):`, error));
+        });
+        trigger.storedClipPaths = [];
+        if (!trigger.hasStoredAudio) return;
+        trigger.hasStoredAudio = false;
+        this.audioStore.delete(trigger.id)
+            .catch(error => console.warn(`Could not delete stored audio for "${trigger.phrase}":`, error));
+    }
+
+    clipKey(trigger, path) {
+        // Audio store and playback engine key for one of a trigger's extra clips
+        return `${trigger.id}:${path}`;
+    }
+
+    clipUrl(trigger, path) {
+        // Clips imported from a pack play from their stored blob; other paths are served files
+        return trigger.clipUrls[path] || path;
+    }
+
+    triggerClipPaths(trigger) {
+        // Extra clips beyond audioUrl: audioMap values and clips named by actions
+        return [...new Set([...Object.values(trigger.audioMap || {}), ...actionClipPaths(trigger.actions)])];
+    }
+
+    setVocabularies(vocabularies) {
+        this.vocabularies = vocabularies && typeof vocabularies === 'object' ? vocabularies : {};
+        localStorage.setItem('vocabularies', JSON.stringify(this.vocabularies));
+        this.refreshVocabularies();
+    }
+
+    refreshVocabularies() {
+        // A one-slot template without a declared vocabulary can say its audioMap values instead
+        const effective = { ...this.vocabularies };
+        this.triggerPhrases.forEach(trigger => {
+            const slots = templateSlots(trigger.phrase);
+            if (slots.length !== 1 || !trigger.audioMap || this.vocabularies[slots[0]]) return;
+            effective[slots[0]] = [...new Set([...(effective[slots[0]] || []), ...Object.keys(trigger.audioMap)])];
+        });
+        this.matcher.setVocabularies(effective);
+    }
+
+    resolveSlotTrigger(trigger, slots) {
+        // A template trigger heard with concrete values: same settings, the filled-in phrase and
+        // the clip its audioMap names (values joined by spaces when there are several slots)
+        const key = templateSlots(trigger.phrase).map(name => slots[name]).join(' ');
+        const path = trigger.audioMap && trigger.audioMap[key];
+        const audioUrl = path ? this.clipUrl(trigger, path) : trigger.audioUrl;
+        return {
+            ...trigger,
+            id: path ? this.clipKey(trigger, path) : trigger.id,
+            phrase: fillTemplate(trigger.phrase, slots),
+            audioFile: audioUrl,
+            audioUrl,
+            clipPath: path || null,
+            // Actions can use the heard values too: { "type": "speak", "text": "This is {raga}" }
+            actions: trigger.actions && mapActionStrings(trigger.actions, text => fillTemplate(text, slots)),
+            slots,
+            template: trigger
+        };
+    }
+
     async initializeDefaultTriggers() {
         // First, try to load packaged triggers from triggers.json
         try {
@@ -194,24 +698,34 @@ class SpeechRecognitionApp {
             if (response.ok) {
                 const config = await response.json();
                 if (config.triggers && config.triggers.length > 0) {
+                    // A pack may say which language it's narrated in
+                    if (config.lang) {
+                        this.setLanguage(config.lang);
+                    }
+                    this.setVocabularies(config.vocabularies);
                     // Load packaged triggers with audio files
                     console.log(`Loading ${config.triggers.length} triggers from triggers.json`);
-                    for (const trigger of config.triggers) {
+                    for (const trigger of this.packTriggerConfigs(config)) {
+                        if (!trigger.audioFile) {
+                            // Template, action and synthesized triggers name their audio in audioMap/actions/synth
+                            this.addTriggerPhrase(trigger.phrase, null, true, trigger);
+                            continue;
+                        }
                         try {
                             // Check if audio file exists
                             const audioResponse = await fetch(trigger.audioFile, { method: 'HEAD' });
                             if (audioResponse.ok) {
                                 // Audio file exists, use it
                                 console.log(`✓ Loading trigger: "${trigger.phrase}" with audio: ${trigger.audioFile}`);
-                                this.addTriggerPhrase(trigger.phrase, trigger.audioFile, true);
+                                this.addTriggerPhrase(trigger.phrase, trigger.audioFile, true, trigger);
                             } else {
                                 // Audio file not found, generate tone as fallback
                                 console.warn(`✗ Audio file not found (${audioResponse.status}): ${trigger.audioFile} for "${trigger.phrase}"`);
-                                await this.addTriggerWithFallback(trigger.phrase);
+                                await this.addTriggerWithFallback(trigger.phrase, 440, 0.5, trigger);
                             }
                         } catch (error) {
                             console.warn(`✗ Audio file not found for "${trigger.phrase}", using generated tone:`, error);
-                            await this.addTriggerWithFallback(trigger.phrase);
+                            await this.addTriggerWithFallback(trigger.phrase, 440, 0.5, trigger);
                         }
                     }
                     console.log(`✅ Loaded ${this.triggerPhrases.length} triggers total`);
@@ -243,14 +757,14 @@ class SpeechRecognitionApp {
         this.preloadAudioElements();
     }
 
-    async addTriggerWithFallback(phrase, frequency = 440, duration = 0.5) {
+    async addTriggerWithFallback(phrase, frequency = 440, duration = 0.5, config = {}) {
         try {
-            const audioUrl = await this.generateAudioTone(frequency, duration);
-            this.addTriggerPhrase(phrase, audioUrl, true); // Mark as default
+            const audioBlob = await this.generateAudioToneBlob(frequency, duration);
+            this.addTriggerPhrase(phrase, audioBlob, true, config); // Mark as default
         } catch (error) {
             console.error(`Error generating audio for "${phrase}":`, error);
             // Add trigger without audio (will use text-to-speech fallback)
-            this.addTriggerPhrase(phrase, null, true);
+            this.addTriggerPhrase(phrase, null, true, config);
         }
     }
 
@@ -299,17 +813,26 @@ class SpeechRecognitionApp {
             if (trigger.isDefault && !trigger.audioUrl && defaultFrequencies[trigger.phrase]) {
                 try {
                     const frequency = defaultFrequencies[trigger.phrase];
-                    const audioUrl = await this.generateAudioTone(frequency, 0.5);
-                    trigger.audioUrl = audioUrl;
+                    const audioBlob = await this.generateAudioToneBlob(frequency, 0.5);
+                    trigger.audioFile = audioBlob;
+                    trigger.audioUrl = URL.createObjectURL(audioBlob);
+                    this.persistTriggerAudio(trigger, audioBlob);
                 } catch (error) {
                     console.error(`Error regenerating audio for "${trigger.phrase}":`, error);
                 }
             }
         }
+        this.preloadAudioElements();
         this.saveTriggers();
+        this.renderTriggerList();
     }
 
     async generateAudioTone(frequency = 440, duration = 0.5) {
+        const blob = await this.generateAudioToneBlob(frequency, duration);
+        return URL.createObjectURL(blob);
+    }
+
+    async generateAudioToneBlob(frequency = 440, duration = 0.5) {
         // Generate a simple audio tone using Web Audio API
         return new Promise(async (resolve, reject) => {
             try {
@@ -339,10 +862,7 @@ class SpeechRecognitionApp {
 
                 // Convert AudioBuffer to WAV blob
                 const wav = this.audioBufferToWav(buffer);
-                const blob = new Blob([wav], { type: 'audio/wav' });
-                const url = URL.createObjectURL(blob);
-                
-                resolve(url);
+                resolve(new Blob([wav], { type: 'audio/wav' }));
             } catch (error) {
                 reject(error);
             }
@@ -388,31 +908,318 @@ class SpeechRecognitionApp {
         return arrayBuffer;
     }
 
+    normalizeSynth(synth) {
+        // { notation, tempo } from a trigger config; tempo null = default. The tonic is the
+        // trigger's own (trigger.tonic), so synthesized and recorded clips share one setting.
+        if (!synth || typeof synth.notation !== 'string' || !synth.notation.trim()) return null;
+        return {
+            notation: synth.notation.trim(),
+            tempo: typeof synth.tempo === 'number' && synth.tempo > 0 ? synth.tempo : null
+        };
+    }
+
+    async renderSwaraBuffer(synth, tonic = this.tonic) {
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        const { samples, sampleRate } = synthesizeNotation(synth.notation, {
+            tonic,
+            tempo: synth.tempo,
+            sampleRate: this.audioContext.sampleRate
+        });
+        const buffer = this.audioContext.createBuffer(1, samples.length, sampleRate);
+        buffer.copyToChannel(samples, 0);
+        return buffer;
+    }
+
+    async generateSwaraBlob(synth, tonic) {
+        const buffer = await this.renderSwaraBuffer(synth, tonic);
+        return new Blob([this.audioBufferToWav(buffer)], { type: 'audio/wav' });
+    }
+
+    async synthesizeTriggerAudio(trigger) {
+        // Render the notation to a WAV clip; from then on it plays, preloads, persists and
+        // exports like an uploaded one
+        try {
+            const blob = await this.generateSwaraBlob(trigger.synth, trigger.tonic || this.tonic);
+            this.releaseMainAudio(trigger);
+            trigger.audioFile = blob;
+            trigger.audioUrl = URL.createObjectURL(blob);
+            this.persistTriggerAudio(trigger, blob);
+            console.log(`🎼 Synthesized "${trigger.phrase}": ${trigger.synth.notation}`);
+        } catch (error) {
+            console.error(`Could not synthesize audio for "${trigger.phrase}":`, error);
+        }
+        this.preloadAudioElements();
+        this.renderTriggerList();
+    }
+
+    setTriggerSynth(id, changes) {
+        const trigger = this.getTriggerById(id);
+        if (!trigger) return;
+        const synth = this.normalizeSynth({ ...trigger.synth, ...changes });
+        if (!synth) {
+            // Notation cleared: back to no audio
+            if (trigger.synth) this.setTriggerAudio(id, null);
+            return;
+        }
+        try {
+            parseNotation(synth.notation);
+        } catch (error) {
+            window.alert(`Can't synthesize "${synth.notation}": ${error.message}`);
+            this.renderTriggerList();
+            return;
+        }
+        trigger.synth = synth;
+        this.saveTriggers();
+        this.synthesizeTriggerAudio(trigger);
+    }
+
+    setGlobalTonic(key, value) {
+        // key: 'tonic' (the shruti to play at) or 'recordedTonic' (what recordings were made at)
+        const tonic = String(value).trim();
+        const input = key === 'tonic' ? this.tonicInput : this.recordedTonicInput;
+        if (!parseTonic(tonic)) {
+            window.alert(`"${tonic}" is not a tonic - use a note name like C#3 or a frequency in Hz.`);
+            if (input) input.value = this[key];
+            return;
+        }
+        this[key] = tonic;
+        localStorage.setItem(key, tonic);
+        if (input) input.value = tonic;
+        console.log(`🎚️ ${key === 'tonic' ? 'Tonic' : 'Recordings made at'} Sa = ${tonic} (${parseTonic(tonic).toFixed(1)} Hz)`);
+
+        if (key === 'tonic') {
+            // Synthesized triggers that follow the global tonic are simply rendered again
+            this.triggerPhrases
+                .filter(t => t.synth && !t.tonic)
+                .forEach(t => this.synthesizeTriggerAudio(t));
+        }
+        // Transpose recorded clips now rather than at their first playback
+        this.preloadAudioBuffers();
+        this.renderTriggerList();
+    }
+
+    setTriggerTonic(id, value) {
+        const trigger = this.getTriggerById(id);
+        if (!trigger) return;
+        const tonic = String(value || '').trim() || null;
+        if (tonic && !parseTonic(tonic)) {
+            window.alert(`"${tonic}" is not a tonic - use a note name like C#3 or a frequency in Hz.`);
+            this.renderTriggerList();
+            return;
+        }
+        trigger.tonic = tonic;
+        this.saveTriggers();
+        if (trigger.synth) {
+            this.synthesizeTriggerAudio(trigger);
+        } else {
+            this.preloadAudioBuffers();
+            this.renderTriggerList();
+        }
+    }
+
+    clipSemitones(trigger, path = null) {
+        // How far to transpose one of a trigger's clips: recordings move from the Sa they were
+        // made at to the trigger's (or the global) tonic. A synthesized main clip (no path) is
+        // already rendered at the tonic.
+        if (trigger.synth && !path) return 0;
+        const target = parseTonic(trigger.tonic || this.tonic);
+        const recorded = parseTonic(trigger.recordedTonic || this.recordedTonic);
+        return target && recorded ? semitonesBetween(recorded, target) : 0;
+    }
+
+    async downloadSwaraWav(trigger) {
+        try {
+            const blob = await this.generateSwaraBlob(trigger.synth, trigger.tonic || this.tonic);
+            const name = trigger.phrase.replace(/[^\w]+/g, '-').replace(/^-|-$/g, '') || 'swaras';
+            this.downloadBlob(blob, `${name}.wav`);
+        } catch (error) {
+            window.alert(`Could not synthesize "${trigger.phrase}": ${error.message}`);
+        }
+    }
+
     saveTriggers() {
         // Save trigger phrases to localStorage (without File objects, just URLs)
-        // Note: blob URLs won't persist across page reloads, only file paths/URLs will
-        // For default triggers with generated audio, we mark them with a special flag
+        // Blob URLs don't persist across page reloads; their audio is kept in IndexedDB
+        // instead and flagged with hasStoredAudio so loadDefaultTriggers() can restore it
         const toSave = this.triggerPhrases.map(t => ({
+            ...this.toTriggerConfig(t),
             id: t.id,
-            phrase: t.phrase,
             audioUrl: t.audioUrl && !t.audioUrl.startsWith('blob:') ? t.audioUrl : null,
-            isDefault: t.isDefault || false // Mark default triggers
+            isDefault: t.isDefault || false, // Mark default triggers
+            hasStoredAudio: t.hasStoredAudio || false,
+            storedClipPaths: t.storedClipPaths
         }));
         localStorage.setItem('triggerPhrases', JSON.stringify(toSave));
+        // Phrases or audio maps may have changed
+        this.refreshVocabularies();
+        // ...and whether any trigger listens for sung notes
+        this.updateMicInput();
     }
 
-    addTriggerPhrase(phrase = '', audioFile = null, isDefault = false) {
+    toTriggerConfig(trigger) {
+        // The portable part of a trigger, as it appears in triggers.json
+        const config = {
+            phrase: trigger.phrase
+        };
+        if (trigger.minScore !== null && trigger.minScore !== undefined) {
+            config.minScore = trigger.minScore;
+        }
+        // Firing policy - only written when set so triggers.json stays terse
+        if (trigger.cooldownMs) config.cooldownMs = trigger.cooldownMs;
+        if (trigger.fireOnce) config.fireOnce = true;
+        if (trigger.maxCount) config.maxCount = trigger.maxCount;
+        if (trigger.activeFromMs !== null) config.activeFromMs = trigger.activeFromMs;
+        if (trigger.activeUntilMs !== null) config.activeUntilMs = trigger.activeUntilMs;
+        if (trigger.playbackPolicy) config.playbackPolicy = trigger.playbackPolicy;
+        if (trigger.shortcut) config.shortcut = trigger.shortcut;
+        if (trigger.audioMap) config.audioMap = { ...trigger.audioMap };
+        if (trigger.actions) config.actions = JSON.parse(JSON.stringify(trigger.actions));
+        if (trigger.synth) config.synth = { ...trigger.synth };
+        if (trigger.tonic) config.tonic = trigger.tonic;
+        if (trigger.recordedTonic) config.recordedTonic = trigger.recordedTonic;
+        if (trigger.raga) config.raga = trigger.raga;
+        if (trigger.note) {
+            config.type = 'note';
+            config.note = trigger.note.note;
+            if (trigger.note.holdMs) config.holdMs = trigger.note.holdMs;
+            if (trigger.note.toleranceCents) config.toleranceCents = trigger.note.toleranceCents;
+        }
+        return config;
+    }
+
+    normalizeNoteConfig(config) {
+        // { note, holdMs, toleranceCents } for "type": "note" triggers; null for spoken ones
+        if (config.type !== 'note') return null;
+        try {
+            parseNote(config.note);
+        } catch (error) {
+            console.warn(`Ignoring note trigger "${config.phrase}": ${error.message}`);
+            return null;
+        }
+        const positive = (value) => typeof value === 'number' && value > 0 ? value : null;
+        return {
+            note: String(config.note).trim(),
+            holdMs: positive(config.holdMs), // null = DEFAULT_HOLD_MS
+            toleranceCents: positive(config.toleranceCents) // null = DEFAULT_TOLERANCE_CENTS
+        };
+    }
+
+    packTriggerConfigs(config) {
+        // A pack's recordedTonic covers every trigger in it that doesn't name its own
+        return config.triggers.map(trigger => config.recordedTonic && !trigger.recordedTonic
+            ? { ...trigger, recordedTonic: config.recordedTonic }
+            : trigger);
+    }
+
+    applyTriggerConfig(trigger, config = {}) {
+        // Copy optional per-trigger settings from triggers.json / localStorage / a pack
+        const number = (value) => typeof value === 'number' && value >= 0 ? value : null;
+        trigger.minScore = typeof config.minScore === 'number' ? config.minScore : null; // null = global threshold
+        trigger.cooldownMs = number(config.cooldownMs) || 0; // Min time between firings
+        trigger.fireOnce = !!config.fireOnce; // Fire at most once per listening session
+        trigger.maxCount = number(config.maxCount) || 0; // Max firings per session, 0 = unlimited
+        trigger.activeFromMs = number(config.activeFromMs); // Active window, relative to session start
+        trigger.activeUntilMs = number(config.activeUntilMs);
+        trigger.playbackPolicy = PLAYBACK_POLICIES[config.playbackPolicy] ? config.playbackPolicy : null; // null = global policy
+        let shortcut = typeof config.shortcut === 'string' && config.shortcut ? config.shortcut : null;
+        const shortcutProblem = shortcut && this.shortcutProblem(shortcut);
+        if (shortcutProblem) {
+            console.warn(`Ignoring shortcut "${shortcut}" of "${trigger.phrase}": ${shortcutProblem}`);
+            shortcut = null;
+        }
+        trigger.shortcut = shortcut ? shortcut.toLowerCase() : null; // Soundboard key
+        // Template triggers ("play raga {raga}"): slot value -> audio path
+        trigger.audioMap = config.audioMap && typeof config.audioMap === 'object' ? { ...config.audioMap } : null;
+        trigger.actions = normalizeActions(config.actions); // Ordered action pipeline instead of the one clip
+        trigger.synth = this.normalizeSynth(config.synth); // Swara notation rendered as the trigger's clip
+        const tonic = (value) => value && parseTonic(value) ? String(value) : null;
+        trigger.tonic = tonic(config.tonic ?? (config.synth && config.synth.tonic)); // Shruti override, null = global
+        trigger.recordedTonic = tonic(config.recordedTonic); // Sa its recordings were made at, null = global
+        trigger.raga = typeof config.raga === 'string' && config.raga.trim() ? config.raga.trim() : null; // Catalog raga for clips ragas.json doesn't list
+        trigger.note = this.normalizeNoteConfig(config); // Sung-note trigger: fires on a held swara, not on speech
+        trigger.storedClipPaths = trigger.storedClipPaths || [];
+        trigger.clipUrls = trigger.clipUrls || {}; // Runtime blob URLs for storedClipPaths
+        // Runtime firing state, never saved
+        trigger.fireCount = trigger.fireCount || 0;
+        trigger.lastFiredAt = trigger.lastFiredAt || 0;
+        return trigger;
+    }
+
+    getTriggerFiringState(trigger, now = Date.now()) {
+        return firingState(trigger, now, this.sessionStartTime);
+    }
+
+    isTriggerAvailable(trigger, now = Date.now()) {
+        return this.getTriggerFiringState(trigger, now).state === 'ready';
+    }
+
+    recordTriggerFiring(trigger) {
+        recordFiring(trigger, Date.now());
+        this.updateTriggerStates();
+    }
+
+    resetTriggerFiringState() {
+        this.triggerPhrases.forEach(resetFiring);
+        this.updateTriggerStates();
+    }
+
+    describeTriggerFiringState(trigger) {
+        const { state, remainingMs } = this.getTriggerFiringState(trigger);
+        switch (state) {
+            case 'cooling':
+                return `Cooling down (${Math.ceil(remainingMs / 1000)}s)`;
+            case 'exhausted':
+                return 'Exhausted';
+            case 'waiting':
+                return `Opens in ${Math.ceil(remainingMs / 1000)}s`;
+            case 'closed':
+                return 'Window closed';
+            default:
+                return trigger.fireCount > 0 ? `Fired ${trigger.fireCount}×` : '';
+        }
+    }
+
+    updateTriggerStates() {
+        if (!this.triggersList) return;
+        this.triggersList.querySelectorAll('.trigger-state').forEach(badge => {
+            const trigger = this.getTriggerById(parseFloat(badge.dataset.id));
+            if (!trigger) return;
+            const { state } = this.getTriggerFiringState(trigger);
+            badge.textContent = this.describeTriggerFiringState(trigger);
+            badge.className = `trigger-state ${state}`;
+        });
+    }
+
+    setTriggerOption(id, key, value) {
+        const trigger = this.getTriggerById(id);
+        if (!trigger) return;
+        trigger[key] = value;
+        console.log(`Updated ${key} for trigger "${trigger.phrase}":`, value);
+        this.saveTriggers();
+        this.updateTriggerStates();
+    }
+
+    addTriggerPhrase(phrase = '', audioFile = null, isDefault = false, config = {}) {
         const trigger = {
             id: Date.now() + Math.random(),
             phrase: phrase.toLowerCase().trim(),
             audioFile: audioFile,
             audioUrl: null,
-            isDefault: isDefault
+            isDefault: isDefault,
+            hasStoredAudio: false
         };
+        this.applyTriggerConfig(trigger, config);
 
+        if (!audioFile && trigger.synth) {
+            this.synthesizeTriggerAudio(trigger);
+        }
         if (audioFile) {
-            if (audioFile instanceof File) {
+            if (audioFile instanceof Blob) {
+                // Uploaded File or generated tone - persist it so it survives reloads
                 trigger.audioUrl = URL.createObjectURL(audioFile);
+                this.persistTriggerAudio(trigger, audioFile);
             } else if (typeof audioFile === 'string') {
                 // If it's a string, use it directly as the URL
                 trigger.audioUrl = audioFile;
@@ -423,11 +1230,814 @@ class SpeechRecognitionApp {
         
         this.triggerPhrases.push(trigger);
         this.saveTriggers();
+        this.renderTriggerList();
+        return trigger;
+    }
+
+    getTriggerById(id) {
+        return this.triggerPhrases.find(t => t.id === id) || null;
+    }
+
+    updateTriggerPhrase(id, phrase) {
+        const trigger = this.getTriggerById(id);
+        if (!trigger) return;
+        trigger.phrase = phrase.toLowerCase().trim();
+        console.log(`Updated trigger phrase: "${trigger.phrase}" (ID: ${id})`);
+        this.saveTriggers();
+    }
+
+    setTriggerMinScore(id, value) {
+        const trigger = this.getTriggerById(id);
+        if (!trigger) return;
+        const score = parseFloat(value);
+        trigger.minScore = score > 0 && score <= 1 ? score : null; // Empty/invalid falls back to the global threshold
+        this.saveTriggers();
+    }
+
+    setTriggerAudio(id, audioFile) {
+        const trigger = this.getTriggerById(id);
+        if (!trigger) return;
+
+        // Drop the old audio element and any blob URL it was holding
+        this.releaseMainAudio(trigger);
+        trigger.synth = null; // A chosen clip replaces synthesized audio
+
+        trigger.audioFile = audioFile || null;
+        trigger.audioUrl = null;
+        if (audioFile instanceof Blob) {
+            trigger.audioUrl = URL.createObjectURL(audioFile);
+            this.persistTriggerAudio(trigger, audioFile);
+        } else {
+            this.discardStoredAudio(trigger);
+            if (typeof audioFile === 'string' && audioFile.trim()) {
+                trigger.audioUrl = audioFile.trim();
+                trigger.audioFile = trigger.audioUrl;
+            }
+        }
+
+        console.log(`Updated audio for trigger "${trigger.phrase}": ${trigger.audioUrl}`);
+        this.preloadAudioElements();
+        this.saveTriggers();
+        this.renderTriggerList();
+    }
+
+    releaseTriggerAudio(trigger) {
+        this.releaseAudioKeys(this.triggerClipPaths(trigger).map(path => this.clipKey(trigger, path)));
+        Object.values(trigger.clipUrls).forEach(url => URL.revokeObjectURL(url));
+        trigger.clipUrls = {};
+        this.releaseMainAudio(trigger);
+    }
+
+    releaseMainAudio(trigger) {
+        // Just the trigger's own clip; audioMap/action clips stay loaded
+        this.releaseAudioKeys([trigger.id]);
+        if (trigger.audioUrl && trigger.audioUrl.startsWith('blob:')) {
+            URL.revokeObjectURL(trigger.audioUrl);
+        }
+    }
+
+    releaseAudioKeys(keys) {
+        keys.forEach(key => {
+            const audio = this.audioElements.get(key);
+            if (audio) {
+                audio.pause();
+                this.audioElements.delete(key);
+            }
+            if (this.playbackEngine) {
+                this.playbackEngine.invalidate(key);
+            }
+        });
+    }
+
+    removeTriggerPhrase(id) {
+        const trigger = this.getTriggerById(id);
+        if (!trigger) return;
+
+        this.releaseTriggerAudio(trigger);
+        this.discardStoredAudio(trigger);
+        this.triggerPhrases = this.triggerPhrases.filter(t => t.id !== id);
+        console.log(`Removed trigger: "${trigger.phrase}" (ID: ${id})`);
+        this.saveTriggers();
+        this.renderTriggerList();
+    }
+
+    moveTrigger(id, offset) {
+        const index = this.triggerPhrases.findIndex(t => t.id === id);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= this.triggerPhrases.length) return;
+
+        const [trigger] = this.triggerPhrases.splice(index, 1);
+        this.triggerPhrases.splice(target, 0, trigger);
+        this.saveTriggers();
+        this.renderTriggerList();
+    }
+
+    async resetTriggersToPackaged() {
+        if (!window.confirm('Replace all triggers with the packaged triggers.json? Your changes will be lost.')) {
+            return;
+        }
+
+        console.log('Resetting triggers to packaged triggers.json');
+        this.triggerPhrases.forEach(trigger => this.releaseTriggerAudio(trigger));
+        this.triggerPhrases = [];
+        this.setVocabularies({});
+        this.audioElements.clear();
+        if (this.playbackEngine) {
+            this.playbackEngine.clear();
+        }
+        localStorage.removeItem('triggerPhrases');
+        try {
+            await this.audioStore.clear();
+        } catch (error) {
+            console.warn('Could not clear stored audio:', error);
+        }
+        this.renderTriggerList();
+
+        await this.initializeDefaultTriggers();
+        this.renderTriggerList();
+    }
+
+    async exportTriggerPack() {
+        // Bundle triggers.json plus every referenced audio file into one zip
+        console.log(`Exporting trigger pack with ${this.triggerPhrases.length} triggers...`);
+        const files = [];
+        const namesByUrl = new Map();
+        const usedNames = new Set();
+        const triggers = [];
+
+        // Fetch each distinct URL once; returns its path inside the pack, or null
+        const bundle = async (url, source, index, label) => {
+            if (!namesByUrl.has(url)) {
+                try {
+                    const response = await fetch(url);
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    const blob = await response.blob();
+                    const name = this.uniquePackFileName(this.packFileNameFor(source, blob, index), usedNames);
+                    files.push({ name: `audio/${name}`, data: blob });
+                    namesByUrl.set(url, `audio/${name}`);
+                } catch (error) {
+                    console.warn(`Could not include audio for ${label}:`, error);
+                    namesByUrl.set(url, null);
+                }
+            }
+            return namesByUrl.get(url);
+        };
+
+        for (const [index, trigger] of this.triggerPhrases.entries()) {
+            const entry = this.toTriggerConfig(trigger);
+
+            if (trigger.audioUrl) {
+                const audioFile = await bundle(trigger.audioUrl, trigger, index, `"${trigger.phrase}"`);
+                if (audioFile) {
+                    entry.audioFile = audioFile;
+                }
+            }
+
+            // audioMap and action clips go in too, with their paths pointing into the pack
+            const packedPaths = new Map();
+            for (const path of this.triggerClipPaths(trigger)) {
+                const packed = await bundle(this.clipUrl(trigger, path), { audioFile: path }, index, `"${trigger.phrase}" (${path})`);
+                packedPaths.set(path, packed || path);
+            }
+            if (entry.audioMap) {
+                Object.keys(entry.audioMap).forEach(value => {
+                    entry.audioMap[value] = packedPaths.get(entry.audioMap[value]);
+                });
+            }
+            if (entry.actions) {
+                entry.actions = mapActionClips(entry.actions, path => packedPaths.get(path));
+            }
+
+            triggers.push(entry);
+        }
+
+        const manifest = { lang: this.language, recordedTonic: this.recordedTonic, vocabularies: this.vocabularies, triggers };
+        files.unshift({ name: 'triggers.json', data: JSON.stringify(manifest, null, 2) });
+        const archive = await createZip(files);
+
+        this.downloadBlob(archive, `trigger-pack-${new Date().toISOString().slice(0, 10)}.zip`);
+
+        console.log(`✅ Exported ${triggers.length} triggers and ${files.length - 1} audio files`);
+    }
+
+    packFileNameFor(trigger, blob, index) {
+        if (trigger.audioFile instanceof File) {
+            return trigger.audioFile.name;
+        }
+        if (typeof trigger.audioFile === 'string' && !trigger.audioFile.startsWith('blob:')) {
+            const name = trigger.audioFile.split(/[?#]/)[0].split('/').pop();
+            if (name) return decodeURIComponent(name);
+        }
+        const extension = Object.keys(AUDIO_MIME_TYPES).find(ext => AUDIO_MIME_TYPES[ext] === blob.type) || 'wav';
+        return `trigger-${index + 1}.${extension}`;
+    }
+
+    uniquePackFileName(name, usedNames) {
+        let candidate = name;
+        const dot = name.lastIndexOf('.');
+        const base = dot > 0 ? name.slice(0, dot) : name;
+        const extension = dot > 0 ? name.slice(dot) : '';
+        for (let n = 2; usedNames.has(candidate); n++) {
+            candidate = `${base}-${n}${extension}`;
+        }
+        usedNames.add(candidate);
+        return candidate;
+    }
+
+    async importTriggerPack(file, mode = 'replace') {
+        console.log(`Importing trigger pack "${file.name}" (${mode})...`);
+        let config;
+        let entries;
+        try {
+            entries = await readZip(file);
+            const manifest = entries.get('triggers.json');
+            if (!manifest) {
+                throw new Error('Pack does not contain triggers.json');
+            }
+            config = JSON.parse(new TextDecoder().decode(manifest));
+            if (!Array.isArray(config.triggers)) {
+                throw new Error('triggers.json has no "triggers" list');
+            }
+        } catch (error) {
+            console.error('Error reading trigger pack:', error);
+            window.alert(`Could not import trigger pack: ${error.message}`);
+            return;
+        }
+
+        if (config.lang) {
+            this.setLanguage(config.lang);
+        }
+        if (config.vocabularies) {
+            this.setVocabularies(mode === 'merge' ? { ...this.vocabularies, ...config.vocabularies } : config.vocabularies);
+        }
+
+        if (mode === 'replace') {
+            this.triggerPhrases.forEach(trigger => {
+                this.releaseTriggerAudio(trigger);
+                this.discardStoredAudio(trigger);
+            });
+            this.triggerPhrases = [];
+        }
+
+        let added = 0;
+        let updated = 0;
+        for (const entry of this.packTriggerConfigs(config)) {
+            if (!entry.phrase) continue;
+
+            // Audio shipped inside the pack becomes an uploaded file; other paths are used as-is
+            let audio = entry.audioFile || null;
+            if (audio && entries.has(audio)) {
+                const name = audio.split('/').pop();
+                const extension = name.split('.').pop().toLowerCase();
+                audio = new File([entries.get(audio)], name, { type: AUDIO_MIME_TYPES[extension] || '' });
+            }
+
+            const phrase = entry.phrase.toLowerCase().trim(); // As addTriggerPhrase stores it
+            const existing = mode === 'merge' ? this.triggerPhrases.find(t => t.phrase === phrase) : null;
+            let trigger;
+            if (existing) {
+                this.releaseTriggerAudio(existing);
+                this.discardStoredAudio(existing);
+                trigger = this.applyTriggerConfig(existing, entry);
+                // As when adding: the pack's clip if it has one, else its notation rendered
+                const synth = trigger.synth;
+                if (audio || !synth) {
+                    this.setTriggerAudio(existing.id, audio);
+                    trigger.synth = synth; // setTriggerAudio drops it for clips picked in the UI
+                } else {
+                    // The old clip's blob URL is revoked; play nothing stale while the notation renders
+                    trigger.audioFile = null;
+                    trigger.audioUrl = null;
+                    this.synthesizeTriggerAudio(trigger);
+                }
+                updated++;
+            } else {
+                trigger = this.addTriggerPhrase(phrase, audio, false, entry);
+                added++;
+            }
+            this.importPackClips(trigger, entries);
+        }
+
+        this.preloadAudioElements();
+        this.saveTriggers();
+        this.renderTriggerList();
+        console.log(`✅ Imported trigger pack: ${added} added, ${updated} updated`);
+    }
+
+    importPackClips(trigger, entries) {
+        // audioMap and action clips shipped in the pack live in IndexedDB like uploaded files
+        this.triggerClipPaths(trigger).forEach(path => {
+            if (!entries.has(path)) return;
+            const extension = path.split('.').pop().toLowerCase();
+            const blob = new Blob([entries.get(path)], { type: AUDIO_MIME_TYPES[extension] || '' });
+            trigger.clipUrls[path] = URL.createObjectURL(blob);
+            this.audioStore.put(this.clipKey(trigger, path), blob)
+                .then(() => {
+                    trigger.storedClipPaths = [...new Set([...trigger.storedClipPaths, path])];
+                    this.saveTriggers();
+                })
+                .catch(error => console.warn(`Could not store audio for "${trigger.phrase}" (${path}):`, error));
+        });
+    }
+
+    describeTriggerAudio(trigger) {
+        if (trigger.synth) {
+            const { notation, tempo } = trigger.synth;
+            return `♫ ${notation} (${tempo || DEFAULT_TEMPO} bpm, Sa = ${trigger.tonic || this.tonic})`;
+        }
+        if (trigger.actions) {
+            return `Actions: ${trigger.actions.map(action => action.type).join(' → ')}`;
+        }
+        if (trigger.audioMap) {
+            const count = Object.keys(trigger.audioMap).length;
+            const fallback = trigger.audioUrl ? `, otherwise ${trigger.audioUrl.startsWith('blob:') ? 'the uploaded clip' : trigger.audioUrl}` : '';
+            return `${count} clip${count === 1 ? '' : 's'} chosen by ${templateSlots(trigger.phrase).map(s => `{${s}}`).join(' ')}${fallback}`;
+        }
+        if (trigger.audioFile instanceof File) {
+            return `Uploaded: ${trigger.audioFile.name}`;
+        }
+        if (!trigger.audioUrl) {
+            return 'No audio (text-to-speech)';
+        }
+        if (trigger.audioUrl.startsWith('blob:')) {
+            return 'Generated tone';
+        }
+        return trigger.audioUrl;
+    }
+
+    getArmedTriggers() {
+        if (!this.isWakeArmed()) {
+            return [];
+        }
+        if (!this.sequentialMode) {
+            return this.triggerPhrases;
+        }
+        return this.triggerPhrases.slice(this.cueCursor, this.cueCursor + this.cueLookahead);
+    }
+
+    setCueCursor(index) {
+        this.cueCursor = Math.max(0, Math.min(index, this.triggerPhrases.length));
+        console.log(`🎬 Cue cursor at ${this.cueCursor + 1}/${this.triggerPhrases.length}`);
+        this.renderTriggerList();
+    }
+
+    moveCueCursor(offset) {
+        this.setCueCursor(this.cueCursor + offset);
+    }
+
+    advanceCuePast(trigger) {
+        // Firing a cue (possibly one of the later armed ones) moves the cursor just past it
+        const index = this.triggerPhrases.indexOf(trigger);
+        if (index >= 0) {
+            this.setCueCursor(index + 1);
+        }
+    }
+
+    setWakePhrase(phrase) {
+        this.wakePhrase = phrase.toLowerCase().trim();
+        localStorage.setItem('wakePhrase', this.wakePhrase);
+        console.log(this.wakePhrase ? `💤 Wake phrase set to "${this.wakePhrase}"` : '🔔 Wake phrase off, triggers always armed');
+        this.disarmWake();
+        this.renderTriggerList();
+    }
+
+    isWakeArmed(now = Date.now()) {
+        if (!this.wakePhrase) return true;
+        return this.wakeArming.isArmed(now);
+    }
+
+    // Looks for the wake phrase in a final result with its own matcher, arming the triggers
+    // if it's there. Returns the alternatives to match triggers against: when the wake phrase
+    // was heard, only what was said after it ("okay tanpura, play mohana"), so words before it
+    // can't fire anything.
+    listenForWakePhrase(alternatives, margin, now) {
+        const wake = this.wakeMatcher.matchAlternatives(alternatives, [{ phrase: this.wakePhrase }], margin);
+        if (!wake) return alternatives;
+
+        this.wakeArming.arm(now, this.wakeMode, this.wakeWindow);
+        console.log(this.wakeMode === 'cue'
+            ? `🔔 Wake phrase heard (score ${wake.score.toFixed(2)}), armed for the next cue`
+            : `🔔 Wake phrase heard (score ${wake.score.toFixed(2)}), armed for ${this.wakeWindow}s`);
+        this.addTriggerLog(new Date().toLocaleTimeString(), wake.transcript, this.wakePhrase, wake, 'wake');
+        this.recordReplayEvent('wake', this.wakePhrase, { score: wake.score, transcript: wake.transcript });
+        this.renderWakeStatus();
+        this.renderTriggerList();
+
+        return wordsAfterWakePhrase(this.wakeMatcher, this.wakePhrase, alternatives);
+    }
+
+    // A single-cue arming is used up by the trigger that fires
+    consumeWake() {
+        if (this.wakePhrase && this.wakeArming.isArmedForCue) {
+            this.disarmWake();
+        }
+    }
+
+    disarmWake() {
+        const wasArmed = this.wakeArming.disarm();
+        this.renderWakeStatus();
+        if (wasArmed) {
+            console.log('💤 Triggers disarmed until the wake phrase');
+            this.renderTriggerList();
+        }
+    }
+
+    renderWakeStatus() {
+        // A window that ran out disarms here, on the status panel's once-a-second refresh
+        const now = Date.now();
+        if (this.wakeArming.isExpired(now)) {
+            this.disarmWake();
+            return;
+        }
+        if (!this.wakeStatusDiv) return;
+
+        this.wakeStatusDiv.hidden = !this.wakePhrase;
+        if (!this.wakePhrase) return;
+        const armed = this.isWakeArmed(now);
+        this.wakeStatusDiv.classList.toggle('armed', armed);
+        if (!armed) {
+            this.wakeStatusDiv.textContent = `💤 Triggers disarmed - say "${this.wakePhrase}"`;
+        } else if (this.wakeArming.isArmedForCue) {
+            this.wakeStatusDiv.textContent = '🔔 Armed for the next cue';
+        } else {
+            this.wakeStatusDiv.textContent = `🔔 Armed - ${Math.ceil(this.wakeArming.remainingMs(now) / 1000)}s left`;
+        }
+    }
+
+    renderCueStatus() {
+        if (!this.cuePanel) return;
+
+        this.cuePanel.hidden = !this.sequentialMode;
+        if (!this.sequentialMode) return;
+
+        this.cueCursor = Math.min(this.cueCursor, this.triggerPhrases.length);
+        const next = this.triggerPhrases[this.cueCursor];
+        this.nextCueText.textContent = next
+            ? `#${this.cueCursor + 1} of ${this.triggerPhrases.length}: "${next.phrase}"`
+            : 'End of cue list';
+        const upcoming = this.getArmedTriggers().slice(1);
+        this.armedCuesText.textContent = upcoming.length > 0
+            ? `Also armed: ${upcoming.map(t => `"${t.phrase}"`).join(', ')}`
+            : '';
+        this.cueBackBtn.disabled = this.cueCursor === 0;
+        this.cueSkipBtn.disabled = this.cueCursor >= this.triggerPhrases.length;
+    }
+
+    renderTriggerList() {
+        this.renderCueStatus();
+        if (!this.triggersList) return;
+
+        this.triggersList.innerHTML = '';
+        if (this.triggerPhrases.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'no-triggers';
+            empty.textContent = 'No triggers yet. Add one or reset to the packaged triggers.';
+            this.triggersList.appendChild(empty);
+            return;
+        }
+
+        this.triggerPhrases.forEach((trigger, index) => {
+            const item = document.createElement('div');
+            item.className = 'trigger-item';
+            if (this.sequentialMode) {
+                const armedOffset = index - this.cueCursor;
+                item.classList.toggle('next-cue', armedOffset === 0);
+                item.classList.toggle('armed', armedOffset > 0 && armedOffset < this.cueLookahead);
+            }
+            item.innerHTML = `
+                <div class="trigger-item-content">
+                    <div class="trigger-input-group">
+                        <label>Phrase #${index + 1}</label>
+                        <input type="text" class="trigger-phrase-input" placeholder="e.g. the peacock">
+                        <span class="trigger-default-flag"></span>
+                        <label>Min. match score</label>
+                        <input type="number" class="trigger-min-score" min="0.1" max="1" step="0.05">
+                    </div>
+                    <div class="trigger-input-group">
+                        <label>Audio</label>
+                        <div class="audio-file-input-wrapper">
+                            <div class="audio-file-name"></div>
+                            <input type="file" class="trigger-audio-input" accept="audio/*">
+                            <input type="text" class="trigger-audio-path" placeholder="or a path, e.g. audio/sa.mp3">
+                        </div>
+                    </div>
+                    <div class="trigger-item-actions">
+                        <span class="trigger-state"></span>
+                        <button class="btn-icon" data-action="preview" title="Preview audio">▶</button>
+                        <button class="btn-icon" data-action="up" title="Move up">↑</button>
+                        <button class="btn-icon" data-action="down" title="Move down">↓</button>
+                        <button class="btn btn-remove" data-action="remove">Delete</button>
+                    </div>
+                </div>
+                <details class="trigger-options">
+                    <summary>Firing options</summary>
+                    <div class="trigger-options-grid">
+                        <label>Cooldown (ms)
+                            <input type="number" data-option="cooldownMs" min="0" step="500" placeholder="0">
+                        </label>
+                        <label>Max fires per session
+                            <input type="number" data-option="maxCount" min="0" step="1" placeholder="unlimited">
+                        </label>
+                        <label>Active from (s)
+                            <input type="number" data-option="activeFromMs" min="0" step="1" placeholder="session start">
+                        </label>
+                        <label>Active until (s)
+                            <input type="number" data-option="activeUntilMs" min="0" step="1" placeholder="no limit">
+                        </label>
+                        <label>If already playing
+                            <select data-option="playbackPolicy"></select>
+                        </label>
+                        <label>Soundboard key
+                            <input type="text" data-option="shortcut" maxlength="1" placeholder="press a key">
+                        </label>
+                        <label>Tonic (Sa)
+                            <input type="text" data-option="tonic">
+                        </label>
+                        <label>Sung note (instead of speech)
+                            <input type="text" data-option="note" placeholder="e.g. P, R2 or Ṡ">
+                        </label>
+                        <label>Hold note for (ms)
+                            <input type="number" data-option="holdMs" min="100" step="100">
+                        </label>
+                        <label class="checkbox-label">
+                            <input type="checkbox" data-option="fireOnce"> Fire once per session
+                        </label>
+                    </div>
+                </details>
+                <details class="trigger-options trigger-synth">
+                    <summary>Synthesize swaras</summary>
+                    <div class="trigger-options-grid">
+                        <label class="synth-notation">Notation
+                            <input type="text" data-synth="notation" placeholder="e.g. S R2 G3 M1 P D2 N3 Ṡ">
+                        </label>
+                        <label>Tempo (bpm)
+                            <input type="number" data-synth="tempo" min="20" max="400" step="5">
+                        </label>
+                        <button class="btn-icon" data-action="download-wav" title="Download the synthesized clip">⬇ WAV</button>
+                    </div>
+                </details>
+            `;
+
+            const phraseInput = item.querySelector('.trigger-phrase-input');
+            phraseInput.value = trigger.phrase;
+            phraseInput.addEventListener('change', (e) => this.updateTriggerPhrase(trigger.id, e.target.value));
+
+            const minScoreInput = item.querySelector('.trigger-min-score');
+            minScoreInput.placeholder = `${this.matchThreshold} (global)`;
+            minScoreInput.value = trigger.minScore ?? '';
+            minScoreInput.addEventListener('change', (e) => this.setTriggerMinScore(trigger.id, e.target.value));
+
+            const stateBadge = item.querySelector('.trigger-state');
+            stateBadge.dataset.id = trigger.id;
+
+            // Firing policy inputs - time windows are edited in seconds but stored in ms
+            const cooldownInput = item.querySelector('[data-option="cooldownMs"]');
+            cooldownInput.value = trigger.cooldownMs || '';
+            cooldownInput.addEventListener('change', (e) => this.setTriggerOption(trigger.id, 'cooldownMs', Math.max(0, parseInt(e.target.value) || 0)));
+            const maxCountInput = item.querySelector('[data-option="maxCount"]');
+            maxCountInput.value = trigger.maxCount || '';
+            maxCountInput.addEventListener('change', (e) => this.setTriggerOption(trigger.id, 'maxCount', Math.max(0, parseInt(e.target.value) || 0)));
+            ['activeFromMs', 'activeUntilMs'].forEach(key => {
+                const input = item.querySelector(`[data-option="${key}"]`);
+                input.value = trigger[key] !== null ? trigger[key] / 1000 : '';
+                input.addEventListener('change', (e) => {
+                    const seconds = parseFloat(e.target.value);
+                    this.setTriggerOption(trigger.id, key, seconds >= 0 ? Math.round(seconds * 1000) : null);
+                });
+            });
+            const policySelect = item.querySelector('[data-option="playbackPolicy"]');
+            policySelect.add(new Option('Use global setting', ''));
+            Object.entries(PLAYBACK_POLICIES).forEach(([value, label]) => policySelect.add(new Option(label, value)));
+            policySelect.value = trigger.playbackPolicy || '';
+            policySelect.addEventListener('change', (e) => this.setTriggerOption(trigger.id, 'playbackPolicy', e.target.value || null));
+            const shortcutInput = item.querySelector('[data-option="shortcut"]');
+            shortcutInput.value = trigger.shortcut || '';
+            shortcutInput.addEventListener('keydown', (e) => {
+                // Capture the pressed key instead of typing it; Backspace/Delete clear the shortcut
+                const clears = e.key === 'Backspace' || e.key === 'Delete';
+                if (e.key.length > 1 && !clears && !RESERVED_SHORTCUT_KEYS[e.key.toLowerCase()]) return; // Tab, Shift, arrows, ...
+                e.preventDefault();
+                this.setTriggerShortcut(trigger.id, clears ? null : e.key);
+            });
+            const tonicInput = item.querySelector('[data-option="tonic"]');
+            tonicInput.placeholder = `${this.tonic} (global)`;
+            tonicInput.value = trigger.tonic || '';
+            tonicInput.addEventListener('change', (e) => this.setTriggerTonic(trigger.id, e.target.value));
+            const noteInput = item.querySelector('[data-option="note"]');
+            noteInput.value = trigger.note ? trigger.note.note : '';
+            noteInput.addEventListener('change', (e) => this.setTriggerNote(trigger.id, { note: e.target.value }));
+            const holdInput = item.querySelector('[data-option="holdMs"]');
+            holdInput.placeholder = DEFAULT_HOLD_MS;
+            holdInput.value = trigger.note && trigger.note.holdMs || '';
+            holdInput.disabled = !trigger.note;
+            holdInput.addEventListener('change', (e) => this.setTriggerNote(trigger.id, { holdMs: parseInt(e.target.value) || null }));
+            const fireOnceInput = item.querySelector('[data-option="fireOnce"]');
+            fireOnceInput.checked = trigger.fireOnce;
+            fireOnceInput.addEventListener('change', (e) => this.setTriggerOption(trigger.id, 'fireOnce', e.target.checked));
+
+            // Swara synthesizer - editing the notation renders a new clip
+            const synth = trigger.synth || {};
+            const synthDetails = item.querySelector('.trigger-synth');
+            synthDetails.open = !!trigger.synth;
+            const notationInput = item.querySelector('[data-synth="notation"]');
+            notationInput.value = synth.notation || '';
+            notationInput.addEventListener('change', (e) => this.setTriggerSynth(trigger.id, { notation: e.target.value }));
+            const tempoInput = item.querySelector('[data-synth="tempo"]');
+            tempoInput.placeholder = DEFAULT_TEMPO;
+            tempoInput.value = synth.tempo || '';
+            tempoInput.addEventListener('change', (e) => this.setTriggerSynth(trigger.id, { tempo: parseFloat(e.target.value) || null }));
+            const wavBtn = item.querySelector('[data-action="download-wav"]');
+            wavBtn.disabled = !trigger.synth;
+            wavBtn.addEventListener('click', () => this.downloadSwaraWav(trigger));
+
+            const defaultFlag = item.querySelector('.trigger-default-flag');
+            defaultFlag.textContent = trigger.isDefault ? 'Default (packaged)' : 'Custom';
+            defaultFlag.classList.toggle('is-default', !!trigger.isDefault);
+
+            item.querySelector('.audio-file-name').textContent = this.describeTriggerAudio(trigger);
+            item.querySelector('.trigger-audio-input').addEventListener('change', (e) => {
+                const file = e.target.files && e.target.files[0];
+                if (file) this.setTriggerAudio(trigger.id, file);
+            });
+            const pathInput = item.querySelector('.trigger-audio-path');
+            if (typeof trigger.audioFile === 'string' && !trigger.audioFile.startsWith('blob:')) {
+                pathInput.value = trigger.audioFile;
+            }
+            pathInput.addEventListener('change', (e) => this.setTriggerAudio(trigger.id, e.target.value));
+
+            const previewBtn = item.querySelector('[data-action="preview"]');
+            previewBtn.disabled = !trigger.audioUrl && !trigger.actions;
+            previewBtn.addEventListener('click', () => this.playAudioForTrigger(trigger));
+            item.querySelector('[data-action="up"]').disabled = index === 0;
+            item.querySelector('[data-action="up"]').addEventListener('click', () => this.moveTrigger(trigger.id, -1));
+            item.querySelector('[data-action="down"]').disabled = index === this.triggerPhrases.length - 1;
+            item.querySelector('[data-action="down"]').addEventListener('click', () => this.moveTrigger(trigger.id, 1));
+            item.querySelector('[data-action="remove"]').addEventListener('click', () => {
+                if (window.confirm(`Delete trigger "${trigger.phrase}"?`)) {
+                    this.removeTriggerPhrase(trigger.id);
+                }
+            });
+
+            this.triggersList.appendChild(item);
+        });
+        this.updateTriggerStates();
+        this.renderSoundboard();
+    }
+
+    // Why a key can't be a trigger shortcut, or null if it can
+    shortcutProblem(key) {
+        const reserved = RESERVED_SHORTCUT_KEYS[key.toLowerCase()];
+        if (reserved) {
+            return `${key.length === 1 ? key.toUpperCase() : key} is taken - ${reserved}.`;
+        }
+        if (key.length !== 1 || /[0-9\s]/.test(key)) {
+            return 'Use a single letter or symbol - number keys already fire triggers by position.';
+        }
+        return null;
+    }
+
+    setTriggerShortcut(id, key) {
+        const problem = key ? this.shortcutProblem(key) : null;
+        if (problem) {
+            window.alert(problem);
+            this.renderTriggerList();
+            return;
+        }
+        const shortcut = key ? key.toLowerCase() : null;
+        // A key can only belong to one trigger
+        if (shortcut) {
+            this.triggerPhrases.forEach(t => {
+                if (t.id !== id && t.shortcut === shortcut) t.shortcut = null;
+            });
+        }
+        this.setTriggerOption(id, 'shortcut', shortcut);
+        this.renderTriggerList();
+    }
+
+    numberKeyFor(index) {
+        // 1-9 fire the first nine triggers, 0 the tenth
+        if (index < 9) return String(index + 1);
+        if (index === 9) return '0';
+        return null;
+    }
+
+    renderSoundboard() {
+        if (!this.soundboardGrid) return;
+
+        this.soundboardGrid.innerHTML = '';
+        this.triggerPhrases.forEach((trigger, index) => {
+            if (!trigger.phrase) return;
+            const button = document.createElement('button');
+            button.className = 'soundboard-btn';
+            button.dataset.id = trigger.id;
+            button.classList.toggle('playing', trigger === this.playingTrigger);
+
+            const keys = [this.numberKeyFor(index), trigger.shortcut ? trigger.shortcut.toUpperCase() : null].filter(Boolean);
+            const keyBadge = document.createElement('span');
+            keyBadge.className = 'soundboard-key';
+            keyBadge.textContent = keys.join(' · ');
+            const label = document.createElement('span');
+            label.className = 'soundboard-label';
+            label.textContent = trigger.phrase;
+            button.append(keyBadge, label);
+            button.title = this.describeTriggerAudio(trigger);
+            if (!this.canFireManually(trigger)) {
+                button.disabled = true;
+                button.title = 'Template triggers need a spoken value, so they only fire from speech';
+            }
+
+            button.addEventListener('click', () => this.fireTriggerManually(trigger));
+            this.soundboardGrid.appendChild(button);
+        });
+    }
+
+    updateSoundboardPlaying() {
+        if (!this.soundboardGrid) return;
+        this.soundboardGrid.querySelectorAll('.soundboard-btn').forEach(button => {
+            button.classList.toggle('playing', !!this.playingTrigger && parseFloat(button.dataset.id) === this.playingTrigger.id);
+        });
+        if (this.replayLastBtn) {
+            this.replayLastBtn.disabled = !this.lastPlayedTrigger;
+        }
+    }
+
+    handleShortcutKey(e) {
+        // Never steal keys from form fields or browser shortcuts
+        const target = e.target;
+        if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+        // Escape and R are RESERVED_SHORTCUT_KEYS, so no trigger shortcut shadows them
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.stopAllPlayback();
+            return;
+        }
+
+        const key = e.key.toLowerCase();
+        let trigger = this.triggerPhrases.find(t => t.shortcut === key);
+        if (!trigger && /^[0-9]$/.test(key)) {
+            trigger = this.triggerPhrases[key === '0' ? 9 : parseInt(key) - 1];
+        }
+        if (trigger) {
+            e.preventDefault();
+            this.fireTriggerManually(trigger);
+        } else if (key === 'r') {
+            e.preventDefault();
+            this.replayLastClip();
+        }
+    }
+
+    canFireManually(trigger) {
+        // A template ("play raga {raga}") only knows its clip once a value is heard
+        return templateSlots(trigger.phrase).length === 0;
+    }
+
+    fireTriggerManually(trigger) {
+        // The presenter's safety net: bypasses matching and firing limits, but still counts
+        // as a firing so speech doesn't fire the same cue again right after
+        if (!this.canFireManually(trigger)) {
+            console.log(`⏭️ "${trigger.phrase}" is a template; it can only fire from speech`);
+            return;
+        }
+        console.log('🖐️ Manual trigger:', trigger.phrase);
+        this.addTriggerLog(new Date().toLocaleTimeString(), '', trigger.phrase, null, 'manual');
+        this.sessionRecorder.addTrigger(trigger.phrase, { source: 'manual' });
+        this.recordTriggerFiring(trigger);
+        if (this.sequentialMode) {
+            this.advanceCuePast(trigger);
+        }
+        this.playAudioForTrigger(trigger);
+    }
+
+    replayLastClip() {
+        if (!this.lastPlayedTrigger) {
+            console.log('Nothing to replay yet');
+            return;
+        }
+        console.log('🔁 Replaying last clip:', this.lastPlayedTrigger.phrase);
+        this.addTriggerLog(new Date().toLocaleTimeString(), '', this.lastPlayedTrigger.phrase, null, 'manual');
+        this.sessionRecorder.addTrigger(this.lastPlayedTrigger.phrase, { source: 'replay' });
+        this.playAudioForTrigger(this.lastPlayedTrigger);
+    }
+
+    stopAllPlayback() {
+        console.log('⏹️ Stopping playback');
+        this.clearPlaybackQueue();
+        this.resetPauseTimer();
+        this.stopCurrentPlayback(INTERRUPT_FADE_MS);
+        if (window.speechSynthesis.speaking) {
+            window.speechSynthesis.cancel();
+        }
     }
 
     async initializeAudioContext() {
         try {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.playbackEngine = new PlaybackEngine(this.audioContext);
+            this.initializeVisualizer();
             
             // Resume audio context on user interaction (required by browsers, especially iOS)
             const unlockAudio = async () => {
@@ -453,6 +2063,182 @@ class SpeechRecognitionApp {
         }
     }
 
+    initializeVisualizer() {
+        // Tap the playback engine's output and the mic for the visualization panel
+        this.micInput = new MicInput(this.audioContext);
+        const playbackAnalyser = this.audioContext.createAnalyser();
+        playbackAnalyser.fftSize = 2048;
+        this.playbackEngine.output.connect(playbackAnalyser);
+
+        this.visualizer = new Visualizer({
+            levelFill: document.getElementById('micLevelFill'),
+            levelPeak: document.getElementById('micLevelPeak'),
+            levelText: document.getElementById('micLevelText'),
+            spectrogramCanvas: document.getElementById('spectrogramCanvas'),
+            pitchCanvas: document.getElementById('pitchCanvas'),
+            pitchText: document.getElementById('pitchText')
+        }, {
+            tonicHz: () => parseTonic(this.tonic),
+            isPlaying: () => this.playbackEngine.isPlaying
+        });
+        this.visualizer.attach(this.micInput, playbackAnalyser);
+        this.setShowVisualizer(this.showVisualizer);
+    }
+
+    setShowVisualizer(show) {
+        this.showVisualizer = show;
+        localStorage.setItem('showVisualizer', show);
+        if (this.visualizerPanel) {
+            this.visualizerPanel.hidden = !show;
+        }
+        if (this.visualizer) {
+            if (show) {
+                this.visualizer.start();
+            } else {
+                this.visualizer.stop();
+            }
+        }
+        this.updateMicInput();
+    }
+
+    updateMicInput() {
+        // The analysis mic runs while listening, for whatever currently needs it. A scripted
+        // replay has no one in the room, so it never opens the mic (or asks permission to).
+        if (!this.micInput) return;
+        const listening = !!this.sessionStartTime && !this.replay;
+        const analysing = listening && (this.detectPauses || this.triggerPhrases.some(trigger => trigger.note));
+        const needed = analysing || (listening && this.showVisualizer);
+        if (analysing && !this.micAnalysisTimer) {
+            this.micAnalysisTimer = setInterval(() => this.analyseMic(), MIC_ANALYSIS_INTERVAL_MS);
+        } else if (!analysing && this.micAnalysisTimer) {
+            clearInterval(this.micAnalysisTimer);
+            this.micAnalysisTimer = null;
+            this.noteDetector.reset();
+            this.voiceActivity.reset();
+        }
+        if (needed && !this.micInput.isActive) {
+            this.micInput.start()
+                .then(() => console.log('🎙️ Mic analysis started'))
+                .catch(error => console.warn('Could not open the mic for analysis:', error));
+        } else if (!needed && this.micInput.isActive) {
+            this.micInput.stop();
+            console.log('🎙️ Mic analysis stopped');
+        }
+    }
+
+    analyseMic() {
+        const now = Date.now();
+        const samples = this.micInput.isActive ? this.micInput.read() : null;
+        this.detectVoiceActivity(samples, now);
+        this.detectSungNotes(samples, now);
+    }
+
+    detectVoiceActivity(samples, now) {
+        // A scripted replay has no speaker in the room; its pauses are the fixed wait.
+        // Left unfed, a pending pause wait just runs to its cap.
+        if (!this.detectPauses || !samples || this.replay) {
+            this.voiceActivity.reset();
+            return;
+        }
+        this.voiceActivity.update(samples, now);
+    }
+
+    detectSungNotes(samples, now) {
+        // Our own clips would count as singing, so only listen between them
+        if (!this.isListening || this.isPlaying || this.isDuringSelfAudio(now) || !samples) {
+            this.noteDetector.reset();
+            return;
+        }
+        const targets = this.getArmedTriggers()
+            .filter(trigger => trigger.note && this.isTriggerAvailable(trigger, now))
+            .map(trigger => ({
+                trigger,
+                frequency: noteFrequency(parseNote(trigger.note.note), parseTonic(trigger.tonic || this.tonic)),
+                holdMs: trigger.note.holdMs,
+                toleranceCents: trigger.note.toleranceCents
+            }));
+        if (targets.length === 0) return;
+
+        const fired = this.noteDetector.detect(samples, this.audioContext.sampleRate, targets, now);
+        fired.forEach(detection => this.handleNoteDetected(detection));
+    }
+
+    handleNoteDetected({ trigger, frequency, cents, heldMs }) {
+        if (this.isPlaying) return; // Another note trigger fired on this same tick
+        const rounded = Math.round(cents);
+        const sung = `Sang ${trigger.note.note} at ${frequency.toFixed(1)} Hz (${rounded >= 0 ? '+' : ''}${rounded}¢), held ${heldMs} ms`;
+        console.log(`🎵 Note trigger "${trigger.phrase}": ${sung}`);
+
+        this.addTriggerLog(new Date().toLocaleTimeString(), sung, trigger.phrase, null, 'sung');
+        this.sessionRecorder.addTrigger(trigger.phrase, {
+            source: 'note',
+            note: trigger.note.note,
+            frequency: Math.round(frequency * 10) / 10,
+            cents: rounded,
+            heldMs
+        });
+        this.recordTriggerFiring(trigger);
+        if (this.sequentialMode) {
+            this.advanceCuePast(trigger);
+        }
+        this.consumeWake();
+        this.playAudioForTrigger(trigger);
+    }
+
+    setTriggerNote(id, changes) {
+        const trigger = this.getTriggerById(id);
+        if (!trigger) return;
+        const config = { ...trigger.note, ...changes, type: 'note', phrase: trigger.phrase };
+        if (!config.note || !String(config.note).trim()) {
+            trigger.note = null; // Back to a spoken phrase
+        } else {
+            try {
+                parseNote(config.note);
+            } catch (error) {
+                window.alert(error.message);
+                this.renderTriggerList();
+                return;
+            }
+            trigger.note = this.normalizeNoteConfig(config);
+        }
+        this.saveTriggers();
+        this.renderTriggerList();
+    }
+
+    async preloadAudioBuffers() {
+        // Decode every trigger clip up front so buffer playback starts instantly
+        if (!this.playbackEngine || !this.useBufferPlayback) return;
+        const run = ++this.preloadRun;
+
+        // Clips are transposed to the current tonic here too, so that doesn't delay playback.
+        // One clip at a time: a tonic change re-renders all of them, and the recognizer and
+        // mic analysis need the main thread in between. Raga library clips come last.
+        const clips = [];
+        this.triggerPhrases.forEach(trigger => {
+            clips.push({ key: trigger.id, url: trigger.audioUrl, label: trigger.phrase, semitones: this.clipSemitones(trigger) });
+            this.triggerClipPaths(trigger).forEach(path => {
+                clips.push({ key: this.clipKey(trigger, path), url: this.clipUrl(trigger, path), label: `${trigger.phrase} (${path})`, semitones: this.clipSemitones(trigger, path) });
+            });
+        });
+        this.ragaCatalog.clips.forEach(clip => {
+            const trigger = this.libraryTrigger(this.ragaCatalog.get(clip.raga), clip);
+            clips.push({ key: trigger.id, url: trigger.audioUrl, label: `${trigger.phrase} (library)`, semitones: this.clipSemitones(trigger, trigger.clipPath) });
+        });
+
+        for (const { key, url, label, semitones } of clips) {
+            if (run !== this.preloadRun) return; // Settings changed; a newer pass took over
+            if (!url || this.playbackEngine.has(key, url, semitones)) continue;
+            const shift = Math.abs(semitones) >= 0.01 ? `, ${semitones > 0 ? '+' : ''}${semitones.toFixed(2)} semitones` : '';
+            try {
+                const buffer = await this.playbackEngine.loadShifted(key, url, semitones);
+                console.log(`  🎵 Decoded ${label} (${buffer.duration.toFixed(2)}s${shift})`);
+            } catch (error) {
+                console.warn(`  ❌ Could not decode audio for ${label}, will use <audio> fallback:`, error);
+            }
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
     preloadAudioElements() {
         // Pre-load audio elements for all triggers (for iOS compatibility)
         console.log('Pre-loading audio elements...');
@@ -495,6 +2281,7 @@ class SpeechRecognitionApp {
         });
         
         console.log(`✅ Pre-loaded ${preloadedCount} audio elements, ${skippedCount} skipped, total in cache: ${this.audioElements.size}`);
+        this.preloadAudioBuffers();
     }
 
     async unlockAudioForIOS() {
@@ -640,12 +2427,27 @@ class SpeechRecognitionApp {
     }
 
     async loadModel() {
-        try {
-            this.updateStatus('Loading model...', 'initializing');
-            this.modelStatus.textContent = 'Initializing speech recognition...';
+        this.updateStatus('Loading model...', 'initializing');
+        this.modelStatus.textContent = 'Initializing speech recognition...';
+        this.startBtn.disabled = true;
 
-            // Use Web Speech API directly
-            this.setupWebSpeechAPI();
+        // Prefer the offline Vosk engine; 'auto' falls back to Web Speech if the model isn't available
+        if (this.recognizerBackend !== 'webspeech') {
+            try {
+                await this.setupVoskEngine();
+                return;
+            } catch (error) {
+                console.warn('Offline Vosk engine unavailable:', error);
+                if (this.recognizerBackend === 'vosk') {
+                    this.updateStatus('Error loading model', 'error');
+                    this.modelStatus.textContent = `Error: ${error.message}`;
+                    return;
+                }
+            }
+        }
+
+        try {
+            await this.setupWebSpeechAPI();
         } catch (error) {
             console.error('Error loading model:', error);
             this.updateStatus('Error loading model', 'error');
@@ -653,18 +2455,96 @@ class SpeechRecognitionApp {
         }
     }
 
-    setupWebSpeechAPI() {
-        if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
+    setLanguage(lang) {
+        if (!lang || lang === this.language) return;
+
+        console.log(`🌐 Language set to ${lang}`);
+        this.language = lang;
+        localStorage.setItem('language', lang);
+        this.matcher.setLanguage(lang);
+        this.wakeMatcher.setLanguage(lang);
+        if (this.languageSelect) {
+            // Packs may name a language we don't list; add it so the selector stays truthful
+            if (!Array.from(this.languageSelect.options).some(o => o.value === lang)) {
+                const option = document.createElement('option');
+                option.value = lang;
+                option.textContent = lang;
+                this.languageSelect.appendChild(option);
+            }
+            this.languageSelect.value = lang;
+        }
+        // Web Speech takes the language when created; Vosk's language is fixed by its model
+        if (this.recognizer instanceof WebSpeechEngine) {
+            this.reloadRecognizer();
+        }
+    }
+
+    async reloadRecognizer() {
+        if (this.isListening) {
+            this.stopListening();
+        }
+        if (this.recognizer) {
+            this.detachRecognizer(this.recognizer);
+            this.recognizer.stop();
+            this.recognizer = null;
+        }
+        await this.loadModel();
+    }
+
+    async setupVoskEngine() {
+        const engine = new VoskEngine({
+            audioContext: this.audioContext,
+            modelPath: this.voskModelPath,
+            echoCancellation: true,
+            noiseSuppression: true
+        });
+
+        await engine.load(({ stage, loaded, total }) => {
+            if (stage === 'script') {
+                this.modelStatus.textContent = 'Loading offline recognizer...';
+            } else if (stage === 'download') {
+                const loadedMb = (loaded / 1048576).toFixed(1);
+                this.modelStatus.textContent = total > 0
+                    ? `Loading offline model: ${Math.round(loaded / total * 100)}% (${loadedMb} MB)`
+                    : `Loading offline model: ${loadedMb} MB`;
+            } else if (stage === 'unpack') {
+                this.modelStatus.textContent = 'Unpacking offline model...';
+            }
+        });
+
+        this.attachRecognizer(engine);
+        this.updateStatus('Ready', 'ready');
+        this.modelStatus.textContent = `Using offline recognition (${this.voskModelPath})`;
+        this.startBtn.disabled = false;
+    }
+
+    async setupWebSpeechAPI() {
+        if (!WebSpeechEngine.isSupported()) {
             this.updateStatus('Speech recognition not supported', 'error');
             this.modelStatus.textContent = 'Your browser does not support speech recognition';
             return;
         }
 
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-        this.recognizer = new SpeechRecognition();
-        this.recognizer.continuous = true;
-        this.recognizer.interimResults = true;
-        this.recognizer.lang = 'en-US';
+        const engine = new WebSpeechEngine({ lang: this.language, maxAlternatives: this.maxAlternatives });
+        await engine.load();
+        this.attachRecognizer(engine);
+
+        this.updateStatus('Using Web Speech API', 'ready');
+        this.modelStatus.textContent = 'Using browser speech recognition (requires internet)';
+        this.startBtn.disabled = false;
+    }
+
+    // A stopped engine can still deliver a late onend; detached, it can't restart anything
+    detachRecognizer(engine) {
+        engine.onresult = null;
+        engine.onerror = null;
+        engine.onend = null;
+    }
+
+    attachRecognizer(engine) {
+        this.recognizer = engine;
+        this.resultStream.reset();
+        console.log(`Recognizer engine: ${engine.name}`);
 
         this.recognizer.onresult = (event) => {
             this.handleRecognitionResult(event);
@@ -679,63 +2559,61 @@ class SpeechRecognitionApp {
         };
 
         this.recognizer.onend = () => {
-            if (this.isListening && !this.isPlaying) {
+            // The next start begins a fresh results list
+            this.resultStream.reset();
+            const shouldRestart = () => this.isListening && (!this.isPlaying || this.listenDuringPlayback);
+            if (shouldRestart()) {
                 // Auto-restart if we're still supposed to be listening
-                setTimeout(() => {
-                    if (this.isListening && !this.isPlaying) {
-                        this.recognizer.start();
+                setTimeout(async () => {
+                    if (shouldRestart()) {
+                        try {
+                            await this.recognizer.start();
+                        } catch (e) {
+                            console.warn('Could not restart recognizer:', e);
+                        }
                     }
                 }, 100);
             }
         };
-
-        this.updateStatus('Using Web Speech API', 'ready');
-        this.modelStatus.textContent = 'Using browser speech recognition (requires internet)';
-        this.startBtn.disabled = false;
     }
 
     handleRecognitionResult(event) {
-        // Always use only the last result index
-        const lastIndex = event.results.length - 1;
-        if (lastIndex < 0) return;
-        
-        const lastResult = event.results[lastIndex];
-        const isFinal = lastResult.isFinal;
-        const transcript = lastResult[0].transcript.trim();
-        
-        if (!transcript) return;
-        
-        // Always replace transcript instead of appending
-        // Use the full transcript from the last result
-        const fullTranscript = transcript;
-        
+        // Only text finalized since the last event is matched, however the platform reports it
+        const { finals, interim } = this.resultStream.process(event);
+        finals.forEach(final => this.handleFinalResult(final.transcript, final.alternatives));
+
         // If we have interim results, we're still speaking - don't display yet
-        if (!isFinal) {
+        if (interim) {
             // Still speaking - update display with current interim result (replace, don't append)
-            this.updateTranscript('', fullTranscript);
-            return;
+            if (this.segmentStartTime === null) {
+                this.segmentStartTime = Date.now();
+            }
+            this.updateTranscript('', interim);
         }
+    }
+
+    handleFinalResult(fullTranscript, resultAlternatives) {
+        // Every final segment goes into the session history, even if it matches nothing
+        this.sessionRecorder.addTranscript(fullTranscript, this.segmentStartTime ?? Date.now());
+        this.segmentStartTime = null;
         
-        // Final result - replace transcript and display after a short pause check
-        // Clear any existing pause check timer
-        if (this.pauseCheckTimer) {
-            clearTimeout(this.pauseCheckTimer);
+        // Final result - buffer it and replace the transcript once the speaker pauses
+        if (this.transcriptPause) {
+            this.transcriptPause.cancel();
         }
-        
-        // Buffer the final result and display after a pause
         this.pendingFinalTranscript = fullTranscript;
-        
-        // Set timer to display after short delay (ensures pause is real)
-        this.pauseCheckTimer = setTimeout(() => {
+        const transcriptPause = this.waitForSpeakerPause();
+        this.transcriptPause = transcriptPause;
+        transcriptPause.done.then(({ reason }) => {
+            if (reason === 'cancelled') return;
+            this.transcriptPause = null;
             if (this.pendingFinalTranscript.trim()) {
                 const finalToDisplay = this.pendingFinalTranscript.trim();
-                this.processFinalTranscript(finalToDisplay);
                 this.updateTranscript(finalToDisplay, ''); // Replace transcript with final result
                 this.pendingFinalTranscript = ''; // Clear buffer
                 console.log('Displayed final transcript after pause:', finalToDisplay);
             }
-            this.pauseCheckTimer = null;
-        }, 300); // 300ms delay to ensure pause is real
+        });
         
         // Check for trigger phrases in the final transcript
         const transcriptLower = fullTranscript.toLowerCase().trim();
@@ -744,57 +2622,49 @@ class SpeechRecognitionApp {
         console.log('  - Final transcript:', `"${transcriptLower}"`);
         console.log('  - Available triggers:', this.triggerPhrases.map(t => `"${t.phrase}"`));
         
-        // Check for trigger phrases
-        let matchedTrigger = null;
-        
-        for (const trigger of this.triggerPhrases) {
-            const triggerLower = trigger.phrase.toLowerCase().trim();
-            
-            // Method 1: Exact phrase match (most reliable)
-            if (transcriptLower.includes(triggerLower)) {
-                matchedTrigger = trigger;
-                console.log(`✅ MATCH FOUND (exact phrase)! Trigger: "${trigger.phrase}"`);
-                console.log(`   - Found in: "${transcriptLower}"`);
-                break;
-            }
-            
-            // Method 2: Word boundary match (more flexible but still strict)
-            const transcriptWords = transcriptLower.split(/\s+/).map(w => w.replace(/[.,!?;:]/g, '').toLowerCase());
-            const triggerWords = triggerLower.split(/\s+/).map(tw => tw.replace(/[.,!?;:]/g, '').toLowerCase());
-            
-            // Find if all trigger words appear in order in the transcript
-            let wordIndex = 0;
-            let allWordsFound = true;
-            for (const triggerWord of triggerWords) {
-                let found = false;
-                // Look for this word starting from where we left off
-                for (let i = wordIndex; i < transcriptWords.length; i++) {
-                    const word = transcriptWords[i];
-                    // Exact word match (not partial)
-                    if (word === triggerWord) {
-                        found = true;
-                        wordIndex = i + 1; // Move to next position
-                        break;
-                    }
-                }
-                if (!found) {
-                    allWordsFound = false;
-                    break;
-                }
-            }
-            
-            if (allWordsFound && triggerWords.length > 0) {
-                matchedTrigger = trigger;
-                console.log(`✅ MATCH FOUND (word sequence)! Trigger: "${trigger.phrase}"`);
-                console.log(`   - Words matched in order: ${triggerWords.join(' -> ')}`);
-                break;
+        // Score every trigger against every alternative; fuzzy/phonetic so mishearings still match,
+        // weighted by the engine's confidence in each alternative
+        const alternatives = resultAlternatives.map(alternative => ({
+            transcript: alternative.transcript.toLowerCase().trim(),
+            confidence: alternative.confidence
+        }));
+        if (alternatives.length > 1) {
+            console.log('  - Alternatives:', alternatives.map((a, i) => `#${i + 1} "${a.transcript}" (${(a.confidence || 0).toFixed(2)})`));
+        }
+        const now = Date.now();
+        // Speech heard over our own clip/TTS is probably the clip itself
+        let selfAudioMargin = 0;
+        if (this.isDuringSelfAudio(now)) {
+            if (this.selfAudioMode === 'ignore') {
+                console.log('🔇 Ignoring result heard during our own playback:', transcriptLower);
+                return;
             }
+            selfAudioMargin = SELF_AUDIO_MARGIN;
+            console.log(`🔉 Result heard during our own playback, raising the match threshold by ${SELF_AUDIO_MARGIN}`);
+        }
+        // In wake-phrase mode nothing fires until the wake phrase has armed the triggers
+        const heard = this.wakePhrase ? this.listenForWakePhrase(alternatives, selfAudioMargin, now) : alternatives;
+        // In lesson mode only the next few expected cues can fire, and cooling down,
+        // exhausted or out-of-window triggers never do
+        const candidates = this.getArmedTriggers().filter(trigger => !trigger.note && this.isTriggerAvailable(trigger, now));
+        const match = this.matcher.matchAlternatives(heard, candidates, selfAudioMargin);
+        const matchedTrigger = match ? match.trigger : null;
+        if (match) {
+            console.log(`✅ MATCH FOUND (score ${match.score.toFixed(2)}, alternative #${match.alternativeIndex + 1})! Trigger: "${matchedTrigger.phrase}"`);
+            console.log(`   - Matched words: "${match.matchedText}" in "${match.transcript}"`);
         }
         
         if (matchedTrigger) {
+            // Firing limits and cues belong to the trigger; a template plays the clip for the heard value
+            const firing = match.slots ? this.resolveSlotTrigger(matchedTrigger, match.slots) : matchedTrigger;
             // Trigger phrase detected - log it
             this.detectedTrigger = matchedTrigger;
-            this.handleTriggerDetected(transcriptLower, matchedTrigger.phrase);
+            this.recordTriggerFiring(matchedTrigger);
+            if (this.sequentialMode) {
+                this.advanceCuePast(matchedTrigger);
+            }
+            this.consumeWake();
+            this.handleTriggerDetected(match.transcript, firing.phrase, match);
             this.triggerDetectedInCurrentSession = true;
             console.log('📝 Trigger logged in trigger events');
             
@@ -806,19 +2676,26 @@ class SpeechRecognitionApp {
             this.pendingFinalTranscript = ''; // Clear buffered transcript too
             this.transcriptDiv.innerHTML = '';
             
-            // Start pause timer for audio playback
+            // Play once the speaker actually pauses (or the wait runs out)
             this.resetPauseTimer();
-            console.log(`⏱️ Starting pause timer (${this.pauseDuration}ms) for trigger: "${matchedTrigger.phrase}"`);
-            this.pauseTimer = setTimeout(() => {
-                if (this.isListening && !this.isPlaying) {
-                    console.log('⏱️ Pause timer expired, playing audio for:', matchedTrigger.phrase);
-                    this.playAudioForTrigger(matchedTrigger);
+            const pause = this.waitForSpeakerPause();
+            this.pauseTimer = pause;
+            console.log(`⏱️ Waiting for a pause (${this.minSilence}ms quiet, at most ${this.pauseDuration}ms) for trigger: "${matchedTrigger.phrase}"`);
+            pause.done.then(({ reason, waitedMs }) => {
+                if (reason === 'cancelled') return;
+                this.pauseTimer = null;
+                if (this.isListening) {
+                    // If a clip is already playing, playAudioForTrigger applies the playback policy
+                    console.log(reason === 'silence'
+                        ? `⏱️ Speaker paused after ${waitedMs}ms, playing audio for: ${firing.phrase}`
+                        : `⏱️ No pause within ${this.pauseDuration}ms, playing audio for: ${firing.phrase}`);
+                    this.playAudioForTrigger(firing);
                     this.triggerDetectedInCurrentSession = false;
                     this.detectedTrigger = null;
                 } else {
                     console.log('⚠️ Cannot play audio - isListening:', this.isListening, 'isPlaying:', this.isPlaying);
                 }
-            }, this.pauseDuration);
+            });
         } else {
             // No trigger in this chunk, reset trigger flag
             console.log('❌ No trigger match found');
@@ -828,73 +2705,93 @@ class SpeechRecognitionApp {
         }
     }
 
-    processFinalTranscript(text) {
-        // This method processes final transcript chunks
-        // Trigger detection and pause handling is now done in handleRecognitionResult
-        // to better track the flow of speech
-    }
-
-    handleTriggerDetected(transcript, triggerPhrase) {
+    handleTriggerDetected(transcript, triggerPhrase, match = null) {
         const timestamp = new Date().toLocaleTimeString();
-        this.addTriggerLog(timestamp, transcript, triggerPhrase);
+        this.addTriggerLog(timestamp, transcript, triggerPhrase, match);
+        this.recordReplayEvent('detected', triggerPhrase, {
+            score: match ? match.score : null,
+            transcript
+        });
+        this.sessionRecorder.addTrigger(triggerPhrase, {
+            source: 'speech',
+            text: transcript,
+            score: match ? match.score : null,
+            matchedText: match ? match.matchedText : null
+        });
     }
 
-    handlePause() {
-        // This method is called when speech pauses
-        // The pause detection is handled by the pause timer in handleTriggerDetected
-        // This is kept for potential future enhancements
+    waitForSpeakerPause() {
+        // Fed by analyseMic() while pause detection is on; otherwise a fixed pauseDuration wait
+        return this.voiceActivity.waitForPause({ minSilenceMs: this.minSilence, maxWaitMs: this.pauseDuration });
     }
 
     resetPauseTimer() {
         if (this.pauseTimer) {
-            clearTimeout(this.pauseTimer);
+            this.pauseTimer.cancel();
             this.pauseTimer = null;
         }
-        // Also clear pause check timer when resetting
-        if (this.pauseCheckTimer) {
-            clearTimeout(this.pauseCheckTimer);
-            this.pauseCheckTimer = null;
+        // Also drop the pending transcript display when resetting
+        if (this.transcriptPause) {
+            this.transcriptPause.cancel();
+            this.transcriptPause = null;
         }
     }
 
     async playAudioForTrigger(trigger) {
         if (this.isPlaying) {
-            console.log('Already playing audio, skipping');
+            this.handleTriggerWhilePlaying(trigger);
             return;
         }
 
         console.log('Playing audio for trigger:', trigger.phrase, 'Audio URL:', trigger.audioUrl);
+        this.lastPlayedTrigger = trigger;
+        this.recordReplayEvent('fired', trigger.phrase);
 
-        if (!trigger.audioUrl) {
+        if (!trigger.audioUrl && !trigger.actions) {
             console.warn('No audio file associated with trigger:', trigger.phrase);
             // Fallback to text-to-speech if no audio file
+            this.sessionRecorder.addPlayback('start', trigger.phrase, { source: 'tts' });
             await this.speakResponse(trigger.phrase);
+            this.sessionRecorder.addPlayback('end', trigger.phrase, { source: 'tts' });
             // Clear transcript after text-to-speech
             this.currentTranscript = '';
             this.words = [];
             this.transcriptDiv.innerHTML = '';
             console.log('🧹 Transcript cleared after text-to-speech');
+            this.playNextQueued();
             return;
         }
 
         this.isPlaying = true;
+        this.playingTrigger = trigger;
+        this.updateSoundboardPlaying();
         this.updateStatus('Playing audio...', 'playing');
+        const selfAudio = this.beginSelfAudio();
         
-        // Stop listening temporarily
-        if (this.isListening) {
+        // Stop listening temporarily, unless the presenter wants to talk over clips
+        if (this.isListening && !this.listenDuringPlayback) {
             this.pauseListening();
         }
 
+        this.sessionRecorder.addPlayback('start', trigger.phrase, { audio: this.describeTriggerAudio(trigger) });
+        this.showRagaCard(this.ragaForTrigger(trigger));
         try {
-            // Pass trigger ID to use cached audio element (iOS compatibility)
-            await this.playAudioFile(trigger.audioUrl, trigger.id);
+            const result = trigger.actions
+                ? { stopped: !(await this.runTriggerActions(trigger)) }
+                : await this.playTriggerClip(trigger);
+            this.sessionRecorder.addPlayback('end', trigger.phrase, { stopped: !!(result && result.stopped) });
         } catch (error) {
             console.error('Error playing audio:', error);
+            this.sessionRecorder.addPlayback('error', trigger.phrase, { error: error.message });
             // Fallback to text-to-speech on error
             await this.speakResponse(trigger.phrase);
         } finally {
             // Resume listening after playback
             this.isPlaying = false;
+            this.playingTrigger = null;
+            this.hideRagaCard();
+            this.updateSoundboardPlaying();
+            this.endSelfAudio(selfAudio);
             
             // Clear transcript after audio plays
             this.currentTranscript = '';
@@ -902,16 +2799,428 @@ class SpeechRecognitionApp {
             this.transcriptDiv.innerHTML = '';
             console.log('🧹 Transcript cleared after audio playback');
             
-            if (this.isListening) {
+            if (this.playNextQueued()) {
+                // Listening stays paused until the queue drains
+            } else if (this.isListening) {
                 this.updateStatus('Listening...', 'listening');
-                this.resumeListening();
+                if (!this.listenDuringPlayback) {
+                    this.resumeListening();
+                }
             } else {
                 this.updateStatus('Ready', 'ready');
             }
         }
     }
 
-    async playAudioFile(audioUrl, triggerId = null) {
+    beginSelfAudio() {
+        const span = { start: Date.now(), end: null };
+        this.selfAudioWindows.push(span);
+        return span;
+    }
+
+    endSelfAudio(span) {
+        span.end = Date.now();
+        // Only recent windows matter
+        const cutoff = Date.now() - 60000;
+        this.selfAudioWindows = this.selfAudioWindows.filter(w => w.end === null || w.end > cutoff);
+    }
+
+    isDuringSelfAudio(time = Date.now()) {
+        return this.selfAudioWindows.some(w => time >= w.start && (w.end === null || time <= w.end + SELF_AUDIO_TAIL_MS));
+    }
+
+    handleTriggerWhilePlaying(trigger) {
+        const timestamp = new Date().toLocaleTimeString();
+        const outcome = applyPlaybackPolicy(this.playbackQueue, trigger, this.playbackPolicy);
+        console.log(`Already playing audio, ${outcome}: ${trigger.phrase}`);
+        this.recordReplayEvent(outcome, trigger.phrase);
+
+        if (outcome === 'queued') {
+            this.renderPlaybackQueue();
+        } else if (outcome === 'interrupting') {
+            // Fade out the current clip; its finally block starts this one from the front of the queue
+            this.renderPlaybackQueue();
+            this.addTriggerLog(timestamp, '', trigger.phrase, null, 'interrupted');
+            this.sessionRecorder.add('interrupt', { phrase: trigger.phrase });
+            this.stopCurrentPlayback(INTERRUPT_FADE_MS);
+        } else {
+            this.addTriggerLog(timestamp, '', trigger.phrase, null, 'dropped');
+            this.sessionRecorder.add('dropped', { phrase: trigger.phrase });
+        }
+    }
+
+    playNextQueued() {
+        const next = this.playbackQueue.shift();
+        if (!next) return false;
+        this.renderPlaybackQueue();
+        console.log('▶️ Playing next queued trigger:', next.phrase);
+        this.playAudioForTrigger(next);
+        return true;
+    }
+
+    clearPlaybackQueue() {
+        this.playbackQueue = [];
+        this.renderPlaybackQueue();
+    }
+
+    stopCurrentPlayback(fadeMs = 0) {
+        if (this.playbackEngine && this.playbackEngine.isPlaying) {
+            this.playbackEngine.stop(fadeMs);
+        }
+        if (this.activeAudioElement) {
+            const { audio } = this.activeAudioElement;
+            this.activeAudioElement.finish();
+            this.fadeOutAudioElement(audio, fadeMs);
+        }
+        if (this.headlessPlayback) {
+            this.headlessPlayback.finish();
+        }
+        if (this.actionRun) {
+            // Stop the rest of the pipeline too, including any speak step in progress
+            this.actionRun.cancel();
+            window.speechSynthesis.cancel();
+        }
+    }
+
+    fadeOutAudioElement(audio, fadeMs) {
+        // The <audio> fallback's version of the engine's gain ramp; elements are cached and
+        // reused, so the volume goes back to full once it's paused
+        const steps = Math.ceil(fadeMs / 15);
+        if (steps <= 0) {
+            audio.pause();
+            return;
+        }
+        const startVolume = audio.volume;
+        let step = 0;
+        const timer = setInterval(() => {
+            step++;
+            if (step >= steps || audio.paused) {
+                clearInterval(timer);
+                audio.pause();
+                audio.volume = 1;
+                return;
+            }
+            audio.volume = startVolume * (1 - step / steps);
+        }, 15);
+    }
+
+    renderPlaybackQueue() {
+        if (!this.playbackQueueDiv) return;
+
+        this.playbackQueueDiv.hidden = this.playbackQueue.length === 0;
+        this.playbackQueueList.innerHTML = '';
+        this.playbackQueue.forEach((trigger, index) => {
+            const item = document.createElement('li');
+            item.textContent = trigger.phrase;
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn-queue-remove';
+            removeBtn.title = 'Remove from queue';
+            removeBtn.textContent = '×';
+            removeBtn.addEventListener('click', () => {
+                this.playbackQueue.splice(index, 1);
+                this.renderPlaybackQueue();
+            });
+            item.appendChild(removeBtn);
+            this.playbackQueueList.appendChild(item);
+        });
+    }
+
+    async playTriggerClip(trigger) {
+        return this.playClip({
+            key: trigger.id,
+            url: trigger.audioUrl,
+            label: trigger.phrase,
+            semitones: this.clipSemitones(trigger, trigger.clipPath)
+        });
+    }
+
+    // clip: { key, url, label, startMs, endMs, semitones } - key caches the decoded buffer / audio element
+    async playClip(clip) {
+        if (this.replay && this.replay.headless) {
+            return this.simulateClip(clip);
+        }
+        const range = { startMs: clip.startMs || 0, endMs: clip.endMs || null };
+        // Decoded-buffer playback first; the <audio> element path stays as the fallback
+        if (this.useBufferPlayback && this.playbackEngine) {
+            try {
+                const result = await this.playbackEngine.play(clip.key, clip.url, { ...range, semitones: clip.semitones });
+                if (result.startLatencyMs === null) {
+                    console.log(`⏹️ Stopped before it started: ${clip.label}`);
+                } else {
+                    console.log(`✅ Buffer playback finished: ${clip.label} (start latency ${result.startLatencyMs.toFixed(1)} ms)`);
+                }
+                return result;
+            } catch (error) {
+                console.warn(`Buffer playback failed for ${clip.label}, falling back to <audio>:`, error);
+            }
+        }
+        if (Math.abs(clip.semitones || 0) >= 0.01) {
+            console.warn(`<audio> playback can't transpose; playing ${clip.label} at its recorded pitch`);
+        }
+        // Pass the key to use a cached audio element (iOS compatibility)
+        await this.playAudioFile(clip.url, clip.key, range);
+        return null;
+    }
+
+    async runTriggerActions(trigger) {
+        // Resolves false if the run was cut short (interrupt policy, Stop)
+        const run = new ActionRun();
+        this.actionRun = run;
+        const source = trigger.template || trigger; // Clip keys belong to the template of a slot firing
+        try {
+            return await runActions(trigger.actions, {
+                play: (action) => {
+                    const path = action.audioFile;
+                    const url = path ? this.clipUrl(source, path) : trigger.audioUrl;
+                    if (!url) {
+                        throw new Error(`Play action for "${trigger.phrase}" has no audio`);
+                    }
+                    return this.playClip({
+                        key: path ? this.clipKey(source, path) : trigger.id,
+                        url,
+                        label: `${trigger.phrase} (${path || 'clip'})`,
+                        startMs: action.startMs,
+                        endMs: action.endMs,
+                        semitones: this.clipSemitones(trigger, path || trigger.clipPath)
+                    });
+                },
+                speak: (text) => this.speakText(text),
+                show: (action) => this.showActionMessage(action),
+                dispatch: (name, detail) => {
+                    console.log(`📣 Dispatching ${name}`, detail);
+                    document.dispatchEvent(new CustomEvent(name, { detail }));
+                }
+            }, run);
+        } finally {
+            if (this.actionRun === run) {
+                this.actionRun = null;
+            }
+        }
+    }
+
+    showActionMessage(action) {
+        // On-screen message and/or image for the class; stays until durationMs passes,
+        // the next show action replaces it, or it's clicked away
+        if (!this.actionMessageDiv) return;
+        clearTimeout(this.actionMessageTimer);
+
+        this.actionMessageDiv.innerHTML = '';
+        if (action.message) {
+            const text = document.createElement('div');
+            text.className = 'action-message-text';
+            text.textContent = action.message;
+            this.actionMessageDiv.appendChild(text);
+        }
+        if (action.image) {
+            const image = document.createElement('img');
+            image.src = action.image;
+            image.alt = action.message || '';
+            this.actionMessageDiv.appendChild(image);
+        }
+        this.actionMessageDiv.hidden = false;
+
+        if (action.durationMs) {
+            this.actionMessageTimer = setTimeout(() => this.hideActionMessage(), action.durationMs);
+        }
+    }
+
+    hideActionMessage() {
+        clearTimeout(this.actionMessageTimer);
+        if (this.actionMessageDiv) {
+            this.actionMessageDiv.hidden = true;
+        }
+    }
+
+    async loadRagaCatalog() {
+        try {
+            const response = await fetch('./ragas.json');
+            if (!response.ok) {
+                console.log(`No raga catalog (ragas.json: ${response.status})`);
+                return;
+            }
+            this.ragaCatalog.load(await response.json());
+            console.log(`📚 Raga catalog: ${this.ragaCatalog.size} ragas, ${this.ragaCatalog.clips.size} clips`);
+            this.preloadAudioBuffers();
+        } catch (error) {
+            console.warn('Could not load raga catalog:', error);
+        }
+        this.renderRagaLibrary();
+    }
+
+    ragaForTrigger(trigger) {
+        // { raga, clip } for what a trigger plays: a {raga} slot value, the trigger's own
+        // "raga" setting, or the catalog entry of one of its clip paths. null if none applies.
+        const named = (trigger.slots && trigger.slots.raga) || trigger.raga;
+        const raga = named && this.ragaCatalog.find(named);
+        const paths = [
+            trigger.clipPath,
+            typeof trigger.audioFile === 'string' ? trigger.audioFile : null,
+            ...actionClipPaths(trigger.actions)
+        ];
+        for (const path of paths) {
+            const entry = this.ragaCatalog.forClip(path);
+            if (entry && (!raga || entry.raga === raga)) return entry;
+        }
+        return raga ? { raga, clip: null } : null;
+    }
+
+    buildRagaNotation(raga, part = null) {
+        // Arohana/avarohana lines plus the swaras used; the line a clip demonstrates is highlighted
+        const fragment = document.createDocumentFragment();
+        [['arohana', 'Arohana'], ['avarohana', 'Avarohana']].forEach(([key, label]) => {
+            if (!raga[key]) return;
+            const line = document.createElement('div');
+            line.className = 'raga-scale';
+            line.classList.toggle('current', !!part && part.includes(key));
+            const name = document.createElement('span');
+            name.className = 'raga-scale-label';
+            name.textContent = label;
+            const notation = document.createElement('span');
+            notation.className = 'raga-scale-notation';
+            notation.textContent = raga[key];
+            line.append(name, notation);
+            fragment.appendChild(line);
+        });
+        if (raga.swaras.length > 0) {
+            const swaras = document.createElement('div');
+            swaras.className = 'raga-swaras';
+            raga.swaras.forEach(swara => {
+                const chip = document.createElement('span');
+                chip.textContent = swara;
+                swaras.appendChild(chip);
+            });
+            fragment.appendChild(swaras);
+        }
+        return fragment;
+    }
+
+    showRagaCard(entry) {
+        if (!this.ragaCardDiv) return;
+        if (!entry) {
+            this.hideRagaCard();
+            return;
+        }
+        const { raga, clip } = entry;
+        this.ragaCardDiv.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'raga-card-header';
+        const name = document.createElement('span');
+        name.className = 'raga-name';
+        name.textContent = raga.name;
+        const classification = document.createElement('span');
+        classification.className = 'raga-classification';
+        classification.textContent = ragaClassification(raga);
+        header.append(name, classification);
+        this.ragaCardDiv.appendChild(header);
+
+        this.ragaCardDiv.appendChild(this.buildRagaNotation(raga, clip && clip.part));
+        if (clip && (clip.title || clip.part)) {
+            const caption = document.createElement('div');
+            caption.className = 'raga-clip-caption';
+            caption.textContent = `♪ ${clip.title || clip.part}`;
+            this.ragaCardDiv.appendChild(caption);
+        }
+        this.ragaCardDiv.hidden = false;
+    }
+
+    hideRagaCard() {
+        if (this.ragaCardDiv) {
+            this.ragaCardDiv.hidden = true;
+        }
+    }
+
+    renderRagaLibrary() {
+        if (!this.ragaListDiv) return;
+
+        this.ragaListDiv.innerHTML = '';
+        const query = this.ragaSearchInput ? this.ragaSearchInput.value : '';
+        const ragas = this.ragaCatalog.search(query);
+        if (ragas.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'no-triggers';
+            empty.textContent = this.ragaCatalog.size === 0 ? 'No raga catalog loaded.' : `No ragas match "${query}".`;
+            this.ragaListDiv.appendChild(empty);
+            return;
+        }
+
+        ragas.forEach(raga => {
+            const item = document.createElement('details');
+            item.className = 'raga-item';
+            const summary = document.createElement('summary');
+            const name = document.createElement('span');
+            name.className = 'raga-name';
+            name.textContent = raga.name;
+            const classification = document.createElement('span');
+            classification.className = 'raga-classification';
+            classification.textContent = ragaClassification(raga);
+            summary.append(name, classification);
+            item.appendChild(summary);
+
+            if (raga.description) {
+                const description = document.createElement('div');
+                description.className = 'raga-description';
+                description.textContent = raga.description;
+                item.appendChild(description);
+            }
+            item.appendChild(this.buildRagaNotation(raga));
+
+            const clips = document.createElement('div');
+            clips.className = 'raga-clips';
+            this.ragaCatalog.clipsOf(raga.id).forEach(clip => {
+                const button = document.createElement('button');
+                button.className = 'btn-icon';
+                button.textContent = `▶ ${clip.title || clip.part || clip.path.split('/').pop()}`;
+                button.title = clip.path;
+                button.addEventListener('click', () => this.playAudioForTrigger(this.libraryTrigger(raga, clip)));
+                clips.appendChild(button);
+            });
+            item.appendChild(clips);
+            this.ragaListDiv.appendChild(item);
+        });
+    }
+
+    libraryTrigger(raga, clip) {
+        // Stand-in trigger so a library clip plays (and queues, logs, transposes) like a cue
+        return {
+            id: `library:${clip.path}`,
+            phrase: `${raga.name}${clip.part ? ` ${clip.part}` : ''}`,
+            audioFile: clip.path,
+            audioUrl: clip.path,
+            clipPath: clip.path,
+            actions: null,
+            raga: raga.id
+        };
+    }
+
+    simulateClip(clip) {
+        // Headless replay: hold the playing state for as long as the clip would last, silently,
+        // so queue/drop policies and pauses behave as they would in class
+        const buffer = this.playbackEngine ? this.playbackEngine.getBuffer(clip.key) : null;
+        const element = this.audioElements.get(clip.key);
+        let durationMs = 0;
+        if (buffer) {
+            durationMs = buffer.duration * 1000;
+        } else if (element && Number.isFinite(element.duration)) {
+            durationMs = element.duration * 1000;
+        }
+        if (clip.endMs) {
+            durationMs = Math.min(durationMs, clip.endMs);
+        }
+        durationMs = Math.max(0, durationMs - (clip.startMs || 0));
+
+        return new Promise((resolve) => {
+            const finish = (stopped) => {
+                clearTimeout(timer);
+                this.headlessPlayback = null;
+                resolve({ startLatencyMs: 0, durationMs, stopped });
+            };
+            const timer = setTimeout(() => finish(false), durationMs);
+            this.headlessPlayback = { finish: () => finish(true) };
+        });
+    }
+
+    async playAudioFile(audioUrl, triggerId = null, range = {}) {
         return new Promise(async (resolve, reject) => {
             // Ensure audio context is resumed
             if (this.audioContext && this.audioContext.state === 'suspended') {
@@ -1007,10 +3316,22 @@ class SpeechRecognitionApp {
             
             // Set up event handlers
             const onEnded = () => {
+                this.activeAudioElement = null;
                 setTimeout(resolve, 500); // Small delay before resuming
             };
+
+            // Lets stopCurrentPlayback() end this clip early (interrupt policy)
+            this.activeAudioElement = {
+                audio,
+                finish: () => {
+                    audio.removeEventListener('ended', onEnded);
+                    this.activeAudioElement = null;
+                    resolve();
+                }
+            };
             
             const onError = (error) => {
+                this.activeAudioElement = null;
                 console.error('Audio playback error:', error, 'URL:', audioUrl);
                 console.error('Audio error details:', {
                     code: audio.error?.code,
@@ -1064,6 +3385,9 @@ class SpeechRecognitionApp {
                         audio.currentTime = 0;
                         audio.volume = 1;
                     }
+                    if (range.startMs) {
+                        audio.currentTime = range.startMs / 1000;
+                    }
                     
                     console.log('Attempting to play audio, readyState:', audio.readyState, 'unlocked:', audio._unlocked);
                     
@@ -1089,6 +3413,15 @@ class SpeechRecognitionApp {
                         await playPromise;
                     }
                     console.log('✅ Audio playing successfully:', audioUrl);
+                    if (range.endMs) {
+                        // Cut the clip at its end offset; a pause (e.g. an interrupt) cancels the cut
+                        const endTimer = setTimeout(() => {
+                            audio.removeEventListener('ended', onEnded);
+                            audio.pause();
+                            onEnded();
+                        }, Math.max(0, range.endMs - (range.startMs || 0)));
+                        audio.addEventListener('pause', () => clearTimeout(endTimer), { once: true });
+                    }
                 } catch (playError) {
                     console.error('❌ Error playing audio:', playError);
                     console.error('Audio state:', {
@@ -1179,22 +3512,44 @@ class SpeechRecognitionApp {
         });
     }
 
+    findVoiceForLanguage(lang) {
+        // Prefer an exact locale match (ta-IN), then any voice for the language (ta)
+        const voices = window.speechSynthesis.getVoices();
+        const base = lang.split('-')[0];
+        return voices.find(v => v.lang.replace('_', '-') === lang) ||
+            voices.find(v => v.lang.split(/[-_]/)[0] === base) ||
+            null;
+    }
+
     async speakResponse(phrase) {
         // Fallback text-to-speech when no audio file is available
+        const language = LANGUAGES[this.language] || LANGUAGES[DEFAULT_LANGUAGE];
+        return this.speakText(language.detectedMessage.replace('{phrase}', phrase));
+    }
+
+    async speakText(text) {
+        if (this.replay && this.replay.headless) return;
+        const selfAudio = this.beginSelfAudio();
         return new Promise((resolve) => {
             const utterance = new SpeechSynthesisUtterance();
-            utterance.text = `Trigger phrase detected: ${phrase}`;
-            utterance.lang = 'en-US';
+            utterance.text = text;
+            utterance.lang = this.language;
+            const voice = this.findVoiceForLanguage(this.language);
+            if (voice) {
+                utterance.voice = voice;
+            }
             utterance.rate = 1.0;
             utterance.pitch = 1.0;
             utterance.volume = 1.0;
 
             utterance.onend = () => {
+                this.endSelfAudio(selfAudio);
                 setTimeout(resolve, 500);
             };
 
             utterance.onerror = (error) => {
                 console.error('Speech synthesis error:', error);
+                this.endSelfAudio(selfAudio);
                 resolve();
             };
 
@@ -1203,48 +3558,52 @@ class SpeechRecognitionApp {
     }
 
     pauseListening() {
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-        if (this.recognizer instanceof SpeechRecognition) {
-            if (typeof this.recognizer.stop === 'function') {
-                this.recognizer.stop();
-            }
+        if (this.recognizer) {
+            this.recognizer.stop();
         }
     }
 
     resumeListening() {
         console.log('Resuming listening...', { isListening: this.isListening, isPlaying: this.isPlaying });
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-        if (this.recognizer instanceof SpeechRecognition) {
-            if (typeof this.recognizer.start === 'function') {
-                setTimeout(() => {
-                    if (this.isListening && !this.isPlaying) {
-                        try {
-                            this.recognizer.start();
-                            console.log('✅ Listening resumed');
-                        } catch (e) {
-                            console.error('Error resuming listening:', e);
-                            // If start fails (e.g., already started), that's okay
-                            if (e.name !== 'InvalidStateError') {
-                                console.warn('Unexpected error resuming:', e);
-                            }
-                        }
-                    } else {
-                        console.log('Cannot resume - isListening:', this.isListening, 'isPlaying:', this.isPlaying);
+        if (!this.recognizer) {
+            console.warn('No recognizer engine, cannot resume');
+            return;
+        }
+        setTimeout(async () => {
+            if (this.isListening && !this.isPlaying) {
+                try {
+                    await this.recognizer.start();
+                    console.log('✅ Listening resumed');
+                } catch (e) {
+                    console.error('Error resuming listening:', e);
+                    // If start fails (e.g., already started), that's okay
+                    if (e.name !== 'InvalidStateError') {
+                        console.warn('Unexpected error resuming:', e);
                     }
-                }, 500); // Increased delay to ensure audio playback is complete
+                }
+            } else {
+                console.log('Cannot resume - isListening:', this.isListening, 'isPlaying:', this.isPlaying);
             }
-        } else {
-            console.warn('Recognizer is not a SpeechRecognition instance, cannot resume');
-        }
+        }, 500); // Increased delay to ensure audio playback is complete
     }
 
     async startListening() {
         if (this.isListening || !this.recognizer) return;
 
         try {
+            // With buffer playback, resuming the shared context is the one unlock we need
+            if (this.useBufferPlayback && this.playbackEngine && !this.audioUnlocked) {
+                try {
+                    this.audioUnlocked = await this.playbackEngine.unlock();
+                    console.log(this.audioUnlocked ? '✅ Audio context unlocked' : '⚠️ Audio context still locked');
+                } catch (e) {
+                    console.warn('Could not unlock audio context:', e);
+                }
+            }
+
             // CRITICAL: Unlock audio on user interaction (iOS requirement)
             // This MUST happen synchronously during the click event
-            // Only unlock once, and do it silently
+            // Only unlock once, and do it silently (fallback for <audio> element playback)
             if (!this.audioUnlocked) {
                 console.log('Unlocking audio elements (silent unlock for iOS)...');
                 try {
@@ -1269,40 +3628,234 @@ class SpeechRecognitionApp {
             }
 
             this.isListening = true;
+            this.startSession();
             this.updateStatus('Starting...', 'listening');
             this.startBtn.disabled = true;
             this.stopBtn.disabled = false;
             this.lastSpeechTime = Date.now();
 
-            // Use Web Speech API
-            const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-            if (this.recognizer instanceof SpeechRecognition) {
-                this.recognizer.start();
-            } else {
-                throw new Error('Recognizer not properly initialized');
-            }
+            await this.recognizer.start();
 
             this.updateStatus('Listening...', 'listening');
         } catch (error) {
             console.error('Error starting recognition:', error);
             this.updateStatus('Error starting', 'error');
             this.isListening = false;
+            this.endSession();
             this.startBtn.disabled = false;
             this.stopBtn.disabled = true;
         }
     }
 
+    startSession() {
+        // A session runs from Start to Stop Listening; per-session firing limits reset here
+        this.sessionStartTime = Date.now();
+        this.sessionRecorder.start(this.sessionStartTime);
+        this.segmentStartTime = null;
+        this.resetTriggerFiringState();
+        if (this.triggerStateTimer) clearInterval(this.triggerStateTimer);
+        this.wakeArming.disarm(); // Every session starts disarmed
+        this.renderWakeStatus();
+        this.triggerStateTimer = setInterval(() => {
+            this.updateTriggerStates();
+            this.renderWakeStatus();
+        }, 1000);
+        this.updateMicInput();
+    }
+
+    endSession() {
+        if (this.triggerStateTimer) {
+            clearInterval(this.triggerStateTimer);
+            this.triggerStateTimer = null;
+        }
+        this.sessionStartTime = null;
+        this.disarmWake();
+        this.updateTriggerStates();
+        this.updateMicInput();
+    }
+
+    exportSessionHistory(format) {
+        const recorder = this.sessionRecorder;
+        if (recorder.entries.length === 0) {
+            alert('Nothing recorded yet. Start listening to record a session.');
+            return;
+        }
+
+        const exporters = {
+            json: () => [JSON.stringify(recorder.toJSON(), null, 2), 'application/json'],
+            csv: () => [recorder.toCSV(), 'text/csv'],
+            srt: () => [recorder.toSRT(), 'application/x-subrip'],
+            vtt: () => [recorder.toWebVTT(), 'text/vtt']
+        };
+        const exporter = exporters[format];
+        if (!exporter) return;
+
+        const [text, type] = exporter();
+        const stamp = new Date(recorder.startTime).toISOString().slice(0, 19).replace(/:/g, '-');
+        this.downloadBlob(new Blob([text], { type }), `session-${stamp}.${format}`);
+    }
+
+    clearSessionHistory() {
+        if (this.sessionRecorder.entries.length > 0 && !confirm('Clear the recorded session history?')) {
+            return;
+        }
+        this.sessionRecorder.clear();
+        // Keep recording into a fresh timeline if we're mid-session
+        if (this.sessionStartTime) {
+            this.sessionRecorder.start();
+        }
+    }
+
+    downloadBlob(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    async loadReplayScript(file) {
+        try {
+            this.replayScript = parseRecognizerScript(await file.text());
+            this.replayScript.name = file.name;
+            console.log(`📜 Loaded replay script ${file.name}: ${this.replayScript.events.length} events (${this.replayScript.style})`);
+            if (this.replayBtn) this.replayBtn.disabled = false;
+        } catch (error) {
+            console.error('Could not load replay script:', error);
+            alert(`Could not load replay script: ${error.message}`);
+            this.replayScript = null;
+            if (this.replayBtn) this.replayBtn.disabled = true;
+        }
+    }
+
+    async startReplay() {
+        if (!this.replayScript || this.replay) return;
+        if (this.isListening) {
+            this.stopListening();
+        }
+
+        const engine = new ScriptedEngine({ script: this.replayScript });
+        const headless = !!(this.replayHeadlessInput && this.replayHeadlessInput.checked);
+        this.replay = { engine, previous: this.recognizer, headless, report: [], finished: false };
+        engine.oncomplete = () => this.finishReplayWhenIdle();
+        // finishReplay() attaches it again
+        if (this.recognizer) {
+            this.detachRecognizer(this.recognizer);
+        }
+
+        console.log(`▶️ Replaying ${this.replayScript.name}${headless ? ' (headless)' : ''}`);
+        this.attachRecognizer(engine);
+        this.renderReplayReport();
+        this.startBtn.disabled = true;
+        if (this.replayBtn) this.replayBtn.disabled = true;
+        await this.startListening();
+    }
+
+    finishReplayWhenIdle() {
+        // The script is over, but a matched trigger may still be waiting out its pause or playing
+        const check = setInterval(() => {
+            if (!this.replay) {
+                clearInterval(check);
+            } else if (!this.pauseTimer && !this.isPlaying && this.playbackQueue.length === 0) {
+                clearInterval(check);
+                this.finishReplay();
+            }
+        }, 250);
+    }
+
+    finishReplay() {
+        const replay = this.replay;
+        if (!replay) return;
+        this.replay = null;
+        replay.finished = true;
+        if (this.isListening) {
+            this.stopListening();
+        }
+        this.detachRecognizer(replay.engine);
+        replay.engine.stop();
+
+        if (replay.previous) {
+            this.attachRecognizer(replay.previous);
+            this.startBtn.disabled = false;
+        }
+        if (this.replayBtn) this.replayBtn.disabled = !this.replayScript;
+
+        const fired = replay.report.filter(e => e.type === 'fired').length;
+        console.log(`⏹️ Replay finished: ${fired} triggers fired, ${replay.engine.skippedEvents} script events missed while paused`);
+        console.table(replay.report);
+        this.renderReplayReport(replay);
+    }
+
+    recordReplayEvent(type, phrase, details = {}) {
+        if (!this.replay) return;
+        this.replay.report.push({ t: Math.round(this.replay.engine.currentTime), type, phrase, ...details });
+        this.renderReplayReport();
+    }
+
+    renderReplayReport(replay = this.replay) {
+        if (!this.replayReportDiv || !replay) return;
+
+        const formatTime = (ms) => {
+            const seconds = ms / 1000;
+            return `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+        };
+
+        this.replayReportDiv.hidden = false;
+        this.replayReportDiv.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'replay-report-header';
+        const title = document.createElement('span');
+        const fired = replay.report.filter(e => e.type === 'fired').length;
+        title.textContent = replay.finished
+            ? `Replay finished: ${fired} fired, ${replay.engine.skippedEvents} script events missed while paused`
+            : `Replaying${replay.headless ? ' (headless)' : ''}: ${fired} fired so far`;
+        header.appendChild(title);
+
+        if (replay.finished) {
+            const downloadBtn = document.createElement('button');
+            downloadBtn.className = 'btn-icon';
+            downloadBtn.textContent = '⬇ Report';
+            downloadBtn.addEventListener('click', () => {
+                const blob = new Blob([JSON.stringify(replay.report, null, 2)], { type: 'application/json' });
+                this.downloadBlob(blob, `replay-report-${new Date().toISOString().slice(0, 10)}.json`);
+            });
+            header.appendChild(downloadBtn);
+        }
+        this.replayReportDiv.appendChild(header);
+
+        const list = document.createElement('ol');
+        replay.report.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `replay-${entry.type}`;
+            const score = typeof entry.score === 'number' ? ` (${entry.score.toFixed(2)})` : '';
+            item.textContent = `${formatTime(entry.t)}  ${entry.type}  "${entry.phrase}"${score}`;
+            if (entry.transcript) {
+                item.title = `Heard: "${entry.transcript}"`;
+            }
+            list.appendChild(item);
+        });
+        this.replayReportDiv.appendChild(list);
+    }
+
 
     stopListening() {
         this.isListening = false;
+        this.endSession();
+        this.clearPlaybackQueue();
         this.updateStatus('Stopped', 'ready');
         this.startBtn.disabled = false;
         this.stopBtn.disabled = true;
         this.resetPauseTimer();
 
-        if (this.recognizer && typeof this.recognizer.stop === 'function') {
+        if (this.recognizer) {
             this.recognizer.stop();
         }
+        if (this.replay) {
+            this.finishReplay();
+        }
     }
 
     updateTranscript(final, interim) {
@@ -1320,8 +3873,8 @@ class SpeechRecognitionApp {
         
         if (!displayText) return;
 
-        // Build HTML display - replace entire transcript
-        let html = '';
+        // Build the display - replace entire transcript
+        this.transcriptDiv.innerHTML = '';
         const words = displayText.split(/\s+/).filter(w => w.length > 0);
         
         // Display all words
@@ -1331,6 +3884,7 @@ class SpeechRecognitionApp {
             
             // Check if this word is part of any trigger phrase
             const isPartOfTrigger = this.triggerPhrases.some(trigger => {
+                if (!trigger.phrase || trigger.note) return false;
                 const triggerWords = trigger.phrase.toLowerCase().split(' ');
                 return triggerWords.some(tw => tw === wordLower || wordLower.includes(tw) || tw.includes(wordLower));
             });
@@ -1339,21 +3893,52 @@ class SpeechRecognitionApp {
                 className += ' trigger';
             }
             
-            html += `<span class="${className}">${word}</span>`;
+            const span = document.createElement('span');
+            span.className = className;
+            span.textContent = word;
+            this.transcriptDiv.appendChild(span);
         });
 
-        this.transcriptDiv.innerHTML = html;
         this.transcriptDiv.scrollTop = this.transcriptDiv.scrollHeight;
     }
 
-    addTriggerLog(timestamp, transcript, triggerPhrase) {
+    addTriggerLog(timestamp, transcript, triggerPhrase, match = null, status = 'detected') {
         const logEntry = document.createElement('div');
-        logEntry.className = 'trigger-event';
-        logEntry.innerHTML = `
-            <time>${timestamp}</time>
-            <div class="phrase">Trigger detected: "${triggerPhrase}"</div>
-            <div class="transcript">Transcript: "${transcript}"</div>
-        `;
+        logEntry.className = `trigger-event ${status}`;
+        const labels = {
+            detected: 'Trigger detected',
+            dropped: 'Trigger dropped (already playing)',
+            manual: 'Manual trigger',
+            sung: 'Sung note',
+            wake: 'Wake phrase heard',
+            interrupted: 'Interrupted playback for'
+        };
+        // Phrases can come from shared packs, so everything goes in as text
+        const time = document.createElement('time');
+        time.textContent = timestamp;
+        const phrase = document.createElement('div');
+        phrase.className = 'phrase';
+        phrase.textContent = `${labels[status] || labels.detected}: "${triggerPhrase}"`;
+        if (match) {
+            let scoreText = `score ${match.score.toFixed(2)}`;
+            if (match.alternativeIndex > 0) {
+                scoreText += `, alternative #${match.alternativeIndex + 1}`;
+            }
+            if (match.confidence) {
+                scoreText += `, confidence ${match.confidence.toFixed(2)}`;
+            }
+            const score = document.createElement('span');
+            score.className = 'score';
+            score.textContent = scoreText;
+            phrase.append(' ', score);
+        }
+        logEntry.append(time, phrase);
+        if (transcript) {
+            const transcriptDiv = document.createElement('div');
+            transcriptDiv.className = 'transcript';
+            transcriptDiv.textContent = `Transcript: "${transcript}"`;
+            logEntry.appendChild(transcriptDiv);
+        }
         this.triggerLog.insertBefore(logEntry, this.triggerLog.firstChild);
         
         // Keep only last 10 entries
@@ -1369,7 +3954,6 @@ class SpeechRecognitionApp {
         this.triggerLog.innerHTML = '';
         this.triggerDetectedInCurrentSession = false;
         this.detectedTrigger = null;
-        this.lastProcessedResultIndex = -1; // Reset result tracking
         this.pendingFinalTranscript = ''; // Clear pending buffer
         this.resetPauseTimer();
     }
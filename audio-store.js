@@ -0,0 +1,70 @@
+// IndexedDB storage for trigger audio
+// Uploaded files and generated tones only exist as blob: URLs, which die with the page,
+// so the underlying Blob is kept here keyed by trigger id and turned back into a URL on load.
+
+const DB_NAME = 'vosk-webapp';
+const DB_VERSION = 1;
+const STORE_NAME = 'triggerAudio';
+
+export class AudioStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        db.createObjectStore(STORE_NAME);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow a later retry if opening failed (e.g. private browsing)
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const request = operation(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    put(id, blob) {
+        return this.transaction('readwrite', store => store.put(blob, id));
+    }
+
+    async get(id) {
+        const blob = await this.transaction('readonly', store => store.get(id));
+        return blob || null;
+    }
+
+    delete(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    keys() {
+        return this.transaction('readonly', store => store.getAllKeys());
+    }
+
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+}
@@ -0,0 +1,71 @@
+// Microphone analysis input
+//
+// One getUserMedia stream on the shared AudioContext, feeding an AnalyserNode that pause
+// detection, sung-note triggers, the level meter and the pitch trace read from. It is separate
+// from the recognizer's own capture: Web Speech doesn't expose its stream at all. (On some
+// Android devices a second capture stream competes with speech recognition, so pause detection
+// and the visualization can both be switched off.)
+
+export class MicInput {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.stream = null;
+        this.source = null;
+        this.analyser = null;
+        this.starting = null;
+        this.wanted = false; // Cleared by stop(), so a stop during the permission prompt sticks
+        this.buffer = null;
+    }
+
+    get isActive() {
+        return this.stream !== null;
+    }
+
+    async start() {
+        this.wanted = true;
+        if (this.stream) return;
+        if (this.starting) return this.starting;
+
+        this.starting = (async () => {
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: { channelCount: 1, echoCancellation: true, noiseSuppression: false, autoGainControl: false }
+            });
+            if (!this.wanted) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+            this.stream = stream;
+            this.source = this.audioContext.createMediaStreamSource(stream);
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 2048;
+            this.analyser.smoothingTimeConstant = 0.3;
+            this.source.connect(this.analyser);
+            this.buffer = new Float32Array(this.analyser.fftSize);
+        })();
+        try {
+            await this.starting;
+        } finally {
+            this.starting = null;
+        }
+    }
+
+    stop() {
+        this.wanted = false;
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.analyser = null;
+    }
+
+    // Latest analyser frame as time-domain samples (the same array each call), or null
+    read() {
+        if (!this.analyser) return null;
+        this.analyser.getFloatTimeDomainData(this.buffer);
+        return this.buffer;
+    }
+}
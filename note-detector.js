@@ -0,0 +1,94 @@
+// Sung-note triggers
+//
+// A "note" trigger fires when the mic holds one swara long enough:
+//   { "phrase": "held pa", "type": "note", "note": "P", "holdMs": 500, "toleranceCents": 40 }
+// The note uses swara notation (P, R2, Ṡ for the upper octave, ...) and is heard relative to the
+// tonic. NoteDetector is fed one pitch estimate per tick; a note has to be left (or the singer
+// has to stop) before the same trigger can fire again.
+
+import { parseNotation, swaraFrequency } from './swara-synth.js';
+import { detectPitch, centsBetween } from './pitch.js';
+
+export const DEFAULT_HOLD_MS = 500;
+export const DEFAULT_TOLERANCE_CENTS = 40;
+const MIN_CLARITY = 0.85; // Less periodic than this and it isn't a sung note
+const DROPOUT_MS = 120; // Pitch lost this briefly (a breath, a consonant) doesn't restart the hold
+
+// { swara, ratio, octave } for a single swara such as "P" or "Ṡ"; throws otherwise
+export function parseNote(note) {
+    const notes = parseNotation(note);
+    if (notes.length !== 1 || !notes[0].swara) {
+        throw new Error(`"${note}" is not a single swara`);
+    }
+    return notes[0];
+}
+
+// The synthesizer's pitch for a swara is the one we listen for
+export { swaraFrequency as noteFrequency };
+
+export class NoteDetector {
+    constructor() {
+        this.states = new Map(); // trigger id -> { since, lastSeen, latched, frequencies }
+        this.lastPitch = null;
+    }
+
+    reset() {
+        this.states.clear();
+        this.lastPitch = null;
+    }
+
+    // Estimate the pitch of a mic frame and update every target with it.
+    // targets: [{ trigger, frequency (Hz of the wanted swara), holdMs, toleranceCents }]
+    // Returns the targets that fired: [{ trigger, frequency (mean sung Hz), cents, heldMs }]
+    detect(samples, sampleRate, targets, now = Date.now()) {
+        const pitch = samples ? detectPitch(samples, sampleRate) : null;
+        this.lastPitch = pitch && pitch.clarity >= MIN_CLARITY ? pitch.frequency : null;
+        return this.update(this.lastPitch, targets, now);
+    }
+
+    update(frequency, targets, now = Date.now()) {
+        const fired = [];
+        const active = new Set();
+
+        targets.forEach(target => {
+            const id = target.trigger.id;
+            active.add(id);
+            let state = this.states.get(id);
+            if (!state) {
+                state = { since: null, lastSeen: 0, latched: false, frequencies: [] };
+                this.states.set(id, state);
+            }
+
+            const inTune = frequency !== null &&
+                Math.abs(centsBetween(target.frequency, frequency)) <= (target.toleranceCents || DEFAULT_TOLERANCE_CENTS);
+            if (!inTune) {
+                if (state.since !== null && now - state.lastSeen > DROPOUT_MS) {
+                    // Note released: the next hold starts afresh and may fire again
+                    state.since = null;
+                    state.latched = false;
+                    state.frequencies = [];
+                }
+                return;
+            }
+
+            if (state.since === null) {
+                state.since = now;
+            }
+            state.lastSeen = now;
+            state.frequencies.push(frequency);
+
+            const heldMs = now - state.since;
+            if (!state.latched && heldMs >= (target.holdMs || DEFAULT_HOLD_MS)) {
+                state.latched = true;
+                const sung = state.frequencies.reduce((sum, value) => sum + value, 0) / state.frequencies.length;
+                fired.push({ trigger: target.trigger, frequency: sung, cents: centsBetween(target.frequency, sung), heldMs });
+            }
+        });
+
+        // Forget triggers that are no longer armed
+        [...this.states.keys()].forEach(id => {
+            if (!active.has(id)) this.states.delete(id);
+        });
+        return fired;
+    }
+}
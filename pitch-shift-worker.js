@@ -0,0 +1,14 @@
+// Runs timeStretch() for pitchShiftBuffer() off the main thread, so transposing a whole set of
+// clips doesn't stall speech handling, mic analysis or the UI
+
+import { timeStretch } from './pitch-shift.js';
+
+self.onmessage = ({ data }) => {
+    const { id, channels, outputLength, sampleRate } = data;
+    try {
+        const stretched = timeStretch(channels, outputLength, sampleRate);
+        self.postMessage({ id, channels: stretched }, stretched.map(channel => channel.buffer));
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
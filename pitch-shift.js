@@ -0,0 +1,165 @@
+// Offline pitch shifting for trigger clips (shruti transposition)
+//
+// A clip is resampled in an OfflineAudioContext (faster playback raises the pitch and shortens
+// it), then time-stretched back to its original length with WSOLA: overlapping windowed frames
+// are laid down at a fixed output hop, each taken from wherever near its nominal input position
+// best continues the previous frame, which keeps the waveform from smearing. Rendering happens
+// once per clip and tonic; PlaybackEngine caches the result.
+// WSOLA takes about a second per 10 s of audio, so it runs in a worker (pitch-shift-worker.js),
+// and clips are shifted one at a time however many are asked for at once.
+
+const FRAME_MS = 40;
+const SEARCH_MS = 10; // How far either side of the nominal position to look for the best frame
+const CORRELATION_STEP = 4; // Compare every 4th sample; plenty to line up waveforms
+
+let worker = null; // Shared stretch worker; false once it turned out not to work here
+let nextJobId = 0;
+const jobs = new Map(); // id -> { resolve, reject }
+let queue = Promise.resolve(); // Shifts in progress, chained so only one renders at a time
+
+export function semitonesBetween(fromHz, toHz) {
+    return 12 * Math.log2(toHz / fromHz);
+}
+
+// Stretch (or squeeze) channels to outputLength samples without changing their pitch.
+// All channels use the frame positions found for their mix so they stay in phase.
+export function timeStretch(channels, outputLength, sampleRate) {
+    const inputLength = channels[0].length;
+    const frame = 2 * Math.round(FRAME_MS / 1000 * sampleRate / 2);
+    const hop = frame / 2;
+    const tolerance = Math.round(SEARCH_MS / 1000 * sampleRate);
+    const ratio = inputLength / outputLength;
+    const lastStart = Math.max(0, inputLength - frame);
+
+    const window = new Float32Array(frame);
+    for (let i = 0; i < frame; i++) {
+        window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / frame);
+    }
+
+    let guide = channels[0];
+    if (channels.length > 1) {
+        guide = new Float32Array(inputLength);
+        channels.forEach(channel => channel.forEach((value, i) => { guide[i] += value; }));
+    }
+
+    const outputs = channels.map(() => new Float32Array(outputLength + frame));
+    const weights = new Float32Array(outputLength + frame);
+    let previous = 0;
+
+    for (let position = 0; position < outputLength; position += hop) {
+        const nominal = Math.min(lastStart, Math.round(position * ratio));
+        let best = nominal;
+
+        if (position > 0) {
+            // The input that would naturally follow the previous frame is what this one should match
+            const natural = previous + hop;
+            let bestScore = -Infinity;
+            const from = Math.max(0, nominal - tolerance);
+            const to = Math.min(lastStart, nominal + tolerance);
+            for (let candidate = from; candidate <= to; candidate++) {
+                let score = 0;
+                for (let i = 0; i < frame; i += CORRELATION_STEP) {
+                    score += (guide[natural + i] || 0) * guide[candidate + i];
+                }
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = candidate;
+                }
+            }
+        }
+
+        for (let i = 0; i < frame; i++) {
+            const weight = window[i];
+            weights[position + i] += weight;
+            for (let c = 0; c < channels.length; c++) {
+                outputs[c][position + i] += (channels[c][best + i] || 0) * weight;
+            }
+        }
+        previous = best;
+    }
+
+    return outputs.map(output => {
+        const result = output.slice(0, outputLength);
+        for (let i = 0; i < outputLength; i++) {
+            if (weights[i] > 1e-3) result[i] /= weights[i];
+        }
+        return result;
+    });
+}
+
+function stretchWorker() {
+    if (worker === null) {
+        try {
+            worker = new Worker(new URL('./pitch-shift-worker.js', import.meta.url), { type: 'module' });
+            worker.onmessage = ({ data }) => {
+                const job = jobs.get(data.id);
+                if (!job) return;
+                jobs.delete(data.id);
+                if (data.error) {
+                    job.reject(new Error(data.error));
+                } else {
+                    job.resolve(data.channels);
+                }
+            };
+            worker.onerror = (event) => {
+                // Module workers aren't everywhere yet; stretch on the main thread from now on
+                console.warn('Pitch shift worker failed, shifting on the main thread:', event.message || event);
+                event.preventDefault();
+                worker = false;
+                jobs.forEach(job => job.fallback());
+                jobs.clear();
+            };
+        } catch (error) {
+            worker = false;
+        }
+    }
+    return worker;
+}
+
+// timeStretch() in the worker where possible, otherwise here
+function stretchOffThread(channels, outputLength, sampleRate) {
+    const stretchHere = () => timeStretch(channels, outputLength, sampleRate);
+    const target = typeof Worker !== 'undefined' ? stretchWorker() : false;
+    if (!target) {
+        return Promise.resolve(stretchHere());
+    }
+    return new Promise((resolve, reject) => {
+        const id = nextJobId++;
+        jobs.set(id, { resolve, reject, fallback: () => resolve(stretchHere()) });
+        // Copies: the originals belong to an AudioBuffer, and transferring detaches them
+        const copies = channels.map(channel => channel.slice());
+        target.postMessage({ id, channels: copies, outputLength, sampleRate }, copies.map(copy => copy.buffer));
+    });
+}
+
+// A copy of buffer shifted by semitones (positive = higher), same duration.
+// Calls queue up: each waits for the previous shift to finish before starting.
+export function pitchShiftBuffer(buffer, semitones) {
+    const shift = queue.then(() => renderShift(buffer, semitones));
+    queue = shift.catch(() => {});
+    return shift;
+}
+
+async function renderShift(buffer, semitones) {
+    const ratio = Math.pow(2, semitones / 12);
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const length = Math.max(1, Math.round(buffer.length / ratio));
+    const offline = new OfflineContext(buffer.numberOfChannels, length, buffer.sampleRate);
+
+    const source = offline.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = ratio;
+    source.connect(offline.destination);
+    source.start(0);
+    const resampled = await offline.startRendering();
+
+    const channels = [];
+    for (let c = 0; c < resampled.numberOfChannels; c++) {
+        channels.push(resampled.getChannelData(c));
+    }
+    const stretched = await stretchOffThread(channels, buffer.length, buffer.sampleRate);
+
+    const result = offline.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+    stretched.forEach((data, c) => result.copyToChannel(data, c));
+    return result;
+}
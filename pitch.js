@@ -0,0 +1,104 @@
+// Pitch detection and swara naming
+//
+// detectPitch() is YIN (de Cheveigné & Kawahara): the lag where the signal best matches a
+// shifted copy of itself, using the cumulative-mean-normalized difference so octave errors are
+// rare, refined with parabolic interpolation. swaraForFrequency() names the nearest of the
+// twelve swarasthana positions relative to a tonic.
+
+import { SWARA_RATIOS } from './swara-synth.js';
+
+// One name per distinct pitch position, as the swaras are usually written
+export const SWARA_GRID = ['S', 'R1', 'R2', 'G2', 'G3', 'M1', 'M2', 'P', 'D1', 'D2', 'N2', 'N3']
+    .map(swara => ({ swara, ratio: SWARA_RATIOS[swara], cents: 1200 * Math.log2(SWARA_RATIOS[swara]) }));
+
+const DEFAULT_MIN_HZ = 70;
+const DEFAULT_MAX_HZ = 1200;
+const DEFAULT_THRESHOLD = 0.15; // Lower = stricter about what counts as periodic
+const DEFAULT_MIN_LEVEL = 0.01; // RMS below which a frame is treated as silence
+
+export function rms(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+    }
+    return samples.length > 0 ? Math.sqrt(sum / samples.length) : 0;
+}
+
+// { frequency, clarity (0-1) } for a frame of samples, or null if it's silent or unpitched.
+// options: { minHz, maxHz, threshold, minLevel }
+export function detectPitch(samples, sampleRate, options = {}) {
+    const minHz = options.minHz || DEFAULT_MIN_HZ;
+    const maxHz = options.maxHz || DEFAULT_MAX_HZ;
+    const threshold = options.threshold || DEFAULT_THRESHOLD;
+    if (rms(samples) < (options.minLevel ?? DEFAULT_MIN_LEVEL)) return null;
+
+    const maxLag = Math.min(Math.floor(sampleRate / minHz), Math.floor(samples.length / 2));
+    const minLag = Math.max(2, Math.floor(sampleRate / maxHz));
+    const window = samples.length - maxLag;
+    if (maxLag <= minLag) return null;
+
+    // Difference function, then cumulative mean normalization
+    const normalized = new Float32Array(maxLag + 1);
+    normalized[0] = 1;
+    let runningSum = 0;
+    for (let lag = 1; lag <= maxLag; lag++) {
+        let sum = 0;
+        for (let i = 0; i < window; i++) {
+            const delta = samples[i] - samples[i + lag];
+            sum += delta * delta;
+        }
+        runningSum += sum;
+        normalized[lag] = runningSum > 0 ? sum * lag / runningSum : 1;
+    }
+
+    // First dip under the threshold, followed down to its minimum
+    let lag = -1;
+    for (let candidate = minLag; candidate <= maxLag; candidate++) {
+        if (normalized[candidate] < threshold) {
+            while (candidate + 1 <= maxLag && normalized[candidate + 1] < normalized[candidate]) {
+                candidate++;
+            }
+            lag = candidate;
+            break;
+        }
+    }
+    if (lag < 0) return null;
+
+    let refined = lag;
+    if (lag > 1 && lag < maxLag) {
+        const before = normalized[lag - 1];
+        const after = normalized[lag + 1];
+        const curvature = before - 2 * normalized[lag] + after;
+        if (curvature > 0) {
+            refined = lag + (before - after) / (2 * curvature);
+        }
+    }
+    return { frequency: sampleRate / refined, clarity: 1 - normalized[lag] };
+}
+
+export function centsBetween(fromHz, toHz) {
+    return 1200 * Math.log2(toHz / fromHz);
+}
+
+// Nearest swarasthana to a frequency: { swara, octave (0 = middle), cents (off by, +/-) }
+export function swaraForFrequency(frequency, tonicHz) {
+    const cents = centsBetween(tonicHz, frequency);
+    let octave = Math.floor(cents / 1200);
+    const within = cents - octave * 1200;
+
+    let nearest = SWARA_GRID[0];
+    let offset = within;
+    SWARA_GRID.forEach(position => {
+        if (Math.abs(within - position.cents) < Math.abs(offset)) {
+            nearest = position;
+            offset = within - position.cents;
+        }
+    });
+    // Just below the upper Sa
+    if (Math.abs(within - 1200) < Math.abs(offset)) {
+        nearest = SWARA_GRID[0];
+        offset = within - 1200;
+        octave++;
+    }
+    return { swara: nearest.swara, octave, cents: offset };
+}
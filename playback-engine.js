@@ -0,0 +1,230 @@
+// Web Audio playback engine for trigger clips
+//
+// Each clip is fetched and decoded into an AudioBuffer once, then every playback is a fresh
+// AudioBufferSourceNode on the shared AudioContext. That starts sample-accurately with no
+// readyState polling, and the context only has to be unlocked once (see unlock()).
+// Clips can also play transposed; shifted copies are rendered once and kept per key and shift.
+
+import { pitchShiftBuffer } from './pitch-shift.js';
+
+const MAX_SHIFTS_PER_CLIP = 4; // Transposed copies kept per clip, oldest dropped first
+
+export class PlaybackEngine {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.buffers = new Map(); // key -> { url, buffer }
+        this.pending = new Map(); // key -> in-flight decode promise
+        this.shifted = new Map(); // key -> { url, copies: Map(semitones -> Promise<AudioBuffer>) }
+        this.generations = new Map(); // key -> load token; invalidate() drops it so earlier loads don't cache
+        this.output = audioContext.createGain();
+        this.output.connect(audioContext.destination);
+        this.current = null; // { source, gain, key, resolve }
+        this.loading = null; // { key, cancelled } while play() waits for its buffer
+        this.lastStartLatencyMs = null;
+    }
+
+    // Includes a clip still decoding or transposing, so it can be stopped before it starts
+    get isPlaying() {
+        return this.current !== null || this.loading !== null;
+    }
+
+    async unlock() {
+        // The single unlock point: resume inside a user gesture and push one silent sample
+        // through so iOS treats the context as user-activated
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+        const silence = this.audioContext.createBuffer(1, 1, this.audioContext.sampleRate);
+        const source = this.audioContext.createBufferSource();
+        source.buffer = silence;
+        source.connect(this.output);
+        source.start(0);
+        return this.audioContext.state === 'running';
+    }
+
+    has(key, url, semitones = 0) {
+        const shift = Math.round(semitones * 100) / 100;
+        if (shift) {
+            const entry = this.shifted.get(key);
+            return !!entry && entry.url === url && entry.copies.has(shift);
+        }
+        const entry = this.buffers.get(key);
+        return !!entry && entry.url === url;
+    }
+
+    getBuffer(key) {
+        const entry = this.buffers.get(key);
+        return entry ? entry.buffer : null;
+    }
+
+    async load(key, url) {
+        if (this.has(key, url)) {
+            return this.buffers.get(key).buffer;
+        }
+        const inFlight = this.pending.get(key);
+        if (inFlight && inFlight.url === url) {
+            return inFlight.promise;
+        }
+
+        const generation = this.generation(key);
+        const promise = (async () => {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Could not fetch ${url} (${response.status})`);
+            }
+            const data = await response.arrayBuffer();
+            // Safari only supports the callback form of decodeAudioData
+            const buffer = await new Promise((resolve, reject) => {
+                this.audioContext.decodeAudioData(data, resolve, reject);
+            });
+            // A decode that outlived invalidate() or clear() is for the caller only, not the cache
+            if (this.generations.get(key) === generation) {
+                this.buffers.set(key, { url, buffer });
+            }
+            return buffer;
+        })();
+
+        this.pending.set(key, { url, promise });
+        try {
+            return await promise;
+        } finally {
+            if (this.pending.get(key)?.promise === promise) {
+                this.pending.delete(key);
+            }
+        }
+    }
+
+    // The clip moved by semitones, same duration. Rendering takes a moment, so call this ahead
+    // of time (preloading) where possible; later calls share the cached copy.
+    async loadShifted(key, url, semitones = 0) {
+        const shift = Math.round(semitones * 100) / 100;
+        if (!shift) {
+            return this.load(key, url);
+        }
+
+        let entry = this.shifted.get(key);
+        if (!entry || entry.url !== url) {
+            entry = { url, copies: new Map() };
+            this.shifted.set(key, entry);
+        }
+        let copy = entry.copies.get(shift);
+        if (copy) {
+            // Most recently used last
+            entry.copies.delete(shift);
+        } else {
+            copy = this.load(key, url).then(buffer => pitchShiftBuffer(buffer, shift));
+            copy.catch(() => entry.copies.delete(shift));
+        }
+        entry.copies.set(shift, copy);
+        if (entry.copies.size > MAX_SHIFTS_PER_CLIP) {
+            entry.copies.delete(entry.copies.keys().next().value);
+        }
+        return copy;
+    }
+
+    generation(key) {
+        if (!this.generations.has(key)) {
+            this.generations.set(key, {});
+        }
+        return this.generations.get(key);
+    }
+
+    invalidate(key) {
+        this.buffers.delete(key);
+        this.pending.delete(key);
+        this.shifted.delete(key);
+        this.generations.delete(key);
+    }
+
+    clear() {
+        this.buffers.clear();
+        this.pending.clear();
+        this.shifted.clear();
+        this.generations.clear();
+    }
+
+    // Play a decoded clip, optionally just startMs..endMs of it, at options.volume and
+    // transposed by options.semitones.
+    // Resolves when it finishes (or is stopped) with { startLatencyMs, durationMs, stopped }.
+    // A stop() (or another play()) while the buffer is still loading means it never starts.
+    async play(key, url, options = {}) {
+        const requestedAt = performance.now();
+        const loading = { key, cancelled: false };
+        this.loading = loading;
+        let buffer;
+        try {
+            buffer = await this.loadShifted(key, url, options.semitones);
+            if (this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
+            }
+        } finally {
+            if (this.loading === loading) {
+                this.loading = null;
+            } else {
+                loading.cancelled = true;
+            }
+        }
+        if (loading.cancelled) {
+            return { startLatencyMs: null, durationMs: 0, stopped: true };
+        }
+        if (this.audioContext.state !== 'running') {
+            throw new Error(`AudioContext is ${this.audioContext.state}`);
+        }
+
+        this.stop();
+
+        const offset = Math.min((options.startMs || 0) / 1000, buffer.duration);
+        const end = options.endMs ? Math.min(options.endMs / 1000, buffer.duration) : buffer.duration;
+        const duration = Math.max(0, end - offset);
+
+        return new Promise((resolve) => {
+            const source = this.audioContext.createBufferSource();
+            const gain = this.audioContext.createGain();
+            source.buffer = buffer;
+            gain.gain.value = options.volume ?? 1;
+            source.connect(gain);
+            gain.connect(this.output);
+
+            const current = { source, gain, key, resolve, stopped: false };
+            this.current = current;
+
+            // Time from the request to sound leaving the speakers, including output buffering
+            const outputLatency = this.audioContext.outputLatency || this.audioContext.baseLatency || 0;
+            const startLatencyMs = performance.now() - requestedAt + outputLatency * 1000;
+            this.lastStartLatencyMs = startLatencyMs;
+
+            source.onended = () => {
+                if (this.current === current) {
+                    this.current = null;
+                }
+                gain.disconnect();
+                resolve({ startLatencyMs, durationMs: duration * 1000, stopped: current.stopped });
+            };
+            source.start(0, offset, duration);
+        });
+    }
+
+    // Stop the playing clip, optionally fading it out over fadeMs to avoid a click
+    stop(fadeMs = 0) {
+        if (this.loading) {
+            this.loading.cancelled = true;
+            this.loading = null;
+        }
+        if (!this.current) return;
+        const current = this.current;
+        this.current = null;
+        current.stopped = true;
+        try {
+            if (fadeMs > 0) {
+                const now = this.audioContext.currentTime;
+                current.gain.gain.setValueAtTime(current.gain.gain.value, now);
+                current.gain.gain.linearRampToValueAtTime(0, now + fadeMs / 1000);
+                current.source.stop(now + fadeMs / 1000);
+            } else {
+                current.source.stop();
+            }
+        } catch (e) {
+            // Already stopped
+        }
+    }
+}
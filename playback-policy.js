@@ -0,0 +1,33 @@
+// What happens when a trigger fires while a clip is already playing
+//
+// Each trigger can pick its own policy; the rest use the global one. 'queue' waits its turn
+// behind the queued triggers, 'interrupt' jumps to the front of the queue so it plays as soon
+// as the current clip has faded out, and 'drop' ignores the trigger.
+
+export const PLAYBACK_POLICIES = {
+    queue: 'Queue (play next)',
+    interrupt: 'Interrupt (fade out current)',
+    drop: 'Drop'
+};
+export const DEFAULT_PLAYBACK_POLICY = 'queue';
+
+// The trigger's own policy, else the global one; an unknown policy (an old saved setting)
+// counts as unset
+export function resolvePlaybackPolicy(trigger, globalPolicy) {
+    return [trigger.playbackPolicy, globalPolicy].find(policy => PLAYBACK_POLICIES[policy]) || DEFAULT_PLAYBACK_POLICY;
+}
+
+// Puts the trigger in the queue as its policy says and returns what happened: 'queued',
+// 'interrupting' (the caller fades out the current clip) or 'dropped'
+export function applyPlaybackPolicy(queue, trigger, globalPolicy) {
+    const policy = resolvePlaybackPolicy(trigger, globalPolicy);
+    if (policy === 'queue') {
+        queue.push(trigger);
+        return 'queued';
+    }
+    if (policy === 'interrupt') {
+        queue.unshift(trigger);
+        return 'interrupting';
+    }
+    return 'dropped';
+}
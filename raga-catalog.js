@@ -0,0 +1,145 @@
+// Raga library: what each clip in audio/ is
+//
+// ragas.json describes ragas and the clips that demonstrate them:
+//   {
+//     "ragas": {
+//       "mohana": { "name": "Mohana", "janyaOf": "Harikambhoji", "melakarta": 28,
+//                   "arohana": "S R2 G3 P D2 Ṡ", "avarohana": "Ṡ D2 P G3 R2 S" }
+//     },
+//     "clips": {
+//       "audio/mohana-aar.mp3": { "raga": "mohana", "part": "arohana" }
+//     }
+//   }
+// For a melakarta, "melakarta" is its own number; for a janya it's the parent's number and
+// "janyaOf" names the parent. "swaras" may be listed; otherwise they come from the arohana and
+// avarohana. A clip's "part" (arohana, avarohana, both or anything else) picks which line the
+// notation card highlights.
+
+import { parseNotation, SWARA_RATIOS } from './swara-synth.js';
+
+const SWARA_ORDER = Object.keys(SWARA_RATIOS);
+
+function clipPathKey(path) {
+    return String(path).replace(/^\.\//, '');
+}
+
+// Swarasthanas a raga uses, low to high, from its scale lines
+function scaleSwaras(lines) {
+    const used = new Set();
+    lines.filter(Boolean).forEach(line => {
+        parseNotation(line).forEach(note => {
+            if (note.swara) used.add(note.swara);
+        });
+    });
+    return SWARA_ORDER.filter(swara => used.has(swara));
+}
+
+function normalizeRaga(id, raga) {
+    const text = (value) => typeof value === 'string' && value.trim() ? value.trim() : null;
+    const normalized = {
+        id,
+        name: text(raga.name) || id,
+        aliases: Array.isArray(raga.aliases) ? raga.aliases.filter(alias => typeof alias === 'string') : [],
+        melakarta: typeof raga.melakarta === 'number' ? raga.melakarta : null,
+        janyaOf: text(raga.janyaOf),
+        arohana: text(raga.arohana),
+        avarohana: text(raga.avarohana),
+        swaras: Array.isArray(raga.swaras) ? raga.swaras.map(String) : null,
+        description: text(raga.description)
+    };
+    if (!normalized.swaras) {
+        try {
+            normalized.swaras = scaleSwaras([normalized.arohana, normalized.avarohana]);
+        } catch (error) {
+            console.warn(`Raga "${id}": ${error.message}`);
+            normalized.swaras = [];
+        }
+    }
+    return normalized;
+}
+
+// "Melakarta 65" or "Janya of Harikambhoji (28)"
+export function ragaClassification(raga) {
+    if (raga.janyaOf) {
+        return `Janya of ${raga.janyaOf}${raga.melakarta ? ` (${raga.melakarta})` : ''}`;
+    }
+    return raga.melakarta ? `Melakarta ${raga.melakarta}` : 'Raga';
+}
+
+export class RagaCatalog {
+    constructor() {
+        this.ragas = new Map(); // id -> raga
+        this.clips = new Map(); // path -> { path, raga (id), part, title }
+    }
+
+    get size() {
+        return this.ragas.size;
+    }
+
+    load(data) {
+        this.ragas.clear();
+        this.clips.clear();
+        Object.entries(data && data.ragas || {}).forEach(([id, raga]) => {
+            if (raga && typeof raga === 'object') {
+                this.ragas.set(id, normalizeRaga(id, raga));
+            }
+        });
+        Object.entries(data && data.clips || {}).forEach(([path, clip]) => {
+            if (!clip || !this.ragas.has(clip.raga)) {
+                console.warn(`Catalog clip ${path} names an unknown raga:`, clip && clip.raga);
+                return;
+            }
+            const key = clipPathKey(path);
+            this.clips.set(key, {
+                path: key,
+                raga: clip.raga,
+                part: typeof clip.part === 'string' ? clip.part : null,
+                title: typeof clip.title === 'string' ? clip.title : null
+            });
+        });
+        return this;
+    }
+
+    get(id) {
+        return this.ragas.get(id) || null;
+    }
+
+    // Look a raga up by id, name or alias
+    find(name) {
+        const wanted = String(name || '').toLowerCase().trim();
+        if (!wanted) return null;
+        if (this.ragas.has(wanted)) return this.ragas.get(wanted);
+        return [...this.ragas.values()].find(raga =>
+            raga.name.toLowerCase() === wanted || raga.aliases.some(alias => alias.toLowerCase() === wanted)) || null;
+    }
+
+    // { clip, raga } for a clip path, or null if the catalog doesn't know it
+    forClip(path) {
+        if (typeof path !== 'string') return null;
+        const clip = this.clips.get(clipPathKey(path));
+        return clip ? { clip, raga: this.ragas.get(clip.raga) } : null;
+    }
+
+    clipsOf(id) {
+        return [...this.clips.values()].filter(clip => clip.raga === id);
+    }
+
+    // Ragas matching every word of the query against name, aliases, classification or swaras
+    // ("janya 29", "M2", "hamsa"), sorted by name
+    search(query = '') {
+        const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+        return [...this.ragas.values()]
+            .filter(raga => {
+                const haystack = [
+                    raga.id,
+                    raga.name,
+                    ...raga.aliases,
+                    ragaClassification(raga),
+                    raga.janyaOf ? 'janya' : 'melakarta',
+                    ...raga.swaras
+                ].join(' ').toLowerCase();
+                return words.every(word => haystack.includes(word));
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+}
@@ -0,0 +1,486 @@
+// Recognizer engines used by SpeechRecognitionApp
+//
+// Every engine exposes the same small surface so the app doesn't need to know which one is running:
+//   load(onProgress)  - prepare the engine (load scripts, download the model, ...)
+//   start() / stop()  - begin/end capturing audio (start may return a promise)
+//   onresult(event)   - called with a SpeechRecognitionEvent-shaped object: { resultIndex, results }
+//   onerror(event)    - called with { error }
+//   onend()           - called whenever the engine stops, on request or on its own
+//
+// Results always look like Web Speech results (results[i].isFinal, results[i][0].transcript,
+// results[i][0].confidence) so handleRecognitionResult() works unchanged with any engine.
+
+export const DEFAULT_VOSK_MODEL_PATH = 'models/vosk-model-small-en-us-0.15.tar.gz';
+export const DEFAULT_VOSK_SCRIPT_PATH = 'vosk/vosk.js';
+
+// Build one result list entry the way SpeechRecognitionResult exposes it
+function createResult(transcript, isFinal, confidence = 1) {
+    const result = [{ transcript, confidence }];
+    result.isFinal = isFinal;
+    return result;
+}
+
+class RecognizerEngine {
+    constructor() {
+        this.onresult = null;
+        this.onerror = null;
+        this.onend = null;
+    }
+
+    get name() {
+        return 'base';
+    }
+
+    get isOffline() {
+        return false;
+    }
+
+    async load(onProgress) {}
+
+    start() {}
+
+    stop() {}
+
+    emitResult(event) {
+        if (this.onresult) this.onresult(event);
+    }
+
+    emitError(error) {
+        if (this.onerror) this.onerror({ error });
+    }
+
+    emitEnd() {
+        if (this.onend) this.onend();
+    }
+}
+
+export class WebSpeechEngine extends RecognizerEngine {
+    constructor(options = {}) {
+        super();
+        this.lang = options.lang || 'en-US';
+        this.maxAlternatives = options.maxAlternatives || 1;
+        this.recognition = null;
+    }
+
+    static isSupported() {
+        return 'webkitSpeechRecognition' in window || 'SpeechRecognition' in window;
+    }
+
+    get name() {
+        return 'Web Speech API';
+    }
+
+    async load() {
+        if (!WebSpeechEngine.isSupported()) {
+            throw new Error('Your browser does not support speech recognition');
+        }
+
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        this.recognition = new SpeechRecognition();
+        this.recognition.continuous = true;
+        this.recognition.interimResults = true;
+        this.recognition.lang = this.lang;
+        this.recognition.maxAlternatives = this.maxAlternatives;
+
+        // Native events already have the shape the app expects, pass them straight through
+        this.recognition.onresult = (event) => this.emitResult(event);
+        this.recognition.onerror = (event) => {
+            if (this.onerror) this.onerror(event);
+        };
+        this.recognition.onend = () => this.emitEnd();
+    }
+
+    start() {
+        this.recognition.start();
+    }
+
+    stop() {
+        if (this.recognition) {
+            this.recognition.stop();
+        }
+    }
+}
+
+export class VoskEngine extends RecognizerEngine {
+    constructor(options = {}) {
+        super();
+        this.audioContext = options.audioContext || null;
+        this.modelPath = options.modelPath || DEFAULT_VOSK_MODEL_PATH;
+        this.scriptPath = options.scriptPath || DEFAULT_VOSK_SCRIPT_PATH;
+        this.workletPath = options.workletPath || 'vosk-capture-processor.js';
+        // Echo cancellation keeps our own clips out of the mic when listening during playback
+        this.echoCancellation = options.echoCancellation ?? true;
+        this.noiseSuppression = options.noiseSuppression ?? true;
+        this.model = null;
+        this.kaldiRecognizer = null;
+        this.mediaStream = null;
+        this.sourceNode = null;
+        this.captureNode = null;
+        this.workletLoaded = false;
+        this.isRunning = false;
+        this.startAttempt = null; // Cleared by teardown(), so a stop() during start() sticks
+        this.results = [];
+    }
+
+    static isSupported() {
+        return typeof WebAssembly === 'object' &&
+            typeof AudioWorkletNode !== 'undefined' &&
+            !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    get name() {
+        return 'Vosk (offline)';
+    }
+
+    get isOffline() {
+        return true;
+    }
+
+    async load(onProgress = () => {}) {
+        if (!VoskEngine.isSupported()) {
+            throw new Error('This browser lacks WebAssembly or AudioWorklet support');
+        }
+
+        onProgress({ stage: 'script', loaded: 0, total: 0 });
+        await this.loadScript();
+
+        // Download the model ourselves so we can report progress, then hand vosk a blob URL
+        const modelBlob = await this.fetchModel(onProgress);
+        const modelUrl = URL.createObjectURL(modelBlob);
+        onProgress({ stage: 'unpack', loaded: modelBlob.size, total: modelBlob.size });
+        try {
+            this.model = await window.Vosk.createModel(modelUrl);
+        } finally {
+            URL.revokeObjectURL(modelUrl);
+        }
+        onProgress({ stage: 'ready', loaded: modelBlob.size, total: modelBlob.size });
+    }
+
+    loadScript() {
+        if (window.Vosk) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = this.scriptPath;
+            script.onload = () => {
+                if (window.Vosk) {
+                    resolve();
+                } else {
+                    reject(new Error(`${this.scriptPath} did not define Vosk`));
+                }
+            };
+            script.onerror = () => reject(new Error(`Could not load ${this.scriptPath}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    async fetchModel(onProgress) {
+        const response = await fetch(this.modelPath);
+        if (!response.ok) {
+            throw new Error(`Model not found at ${this.modelPath} (${response.status})`);
+        }
+
+        const total = parseInt(response.headers.get('Content-Length') || '0', 10);
+        if (!response.body || !response.body.getReader) {
+            return response.blob();
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.length;
+            onProgress({ stage: 'download', loaded, total });
+        }
+        return new Blob(chunks, { type: 'application/gzip' });
+    }
+
+    async start() {
+        if (this.isRunning) {
+            const error = new Error('Vosk recognizer already started');
+            error.name = 'InvalidStateError';
+            throw error;
+        }
+        if (!this.model) {
+            throw new Error('Vosk model not loaded');
+        }
+        this.isRunning = true;
+        const attempt = {};
+        this.startAttempt = attempt;
+        const stopped = () => this.startAttempt !== attempt;
+
+        try {
+            if (!this.audioContext) {
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            }
+            if (!this.workletLoaded) {
+                await this.audioContext.audioWorklet.addModule(this.workletPath);
+                this.workletLoaded = true;
+            }
+            if (stopped()) return;
+
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: {
+                    channelCount: 1,
+                    echoCancellation: this.echoCancellation,
+                    noiseSuppression: this.noiseSuppression,
+                    autoGainControl: true
+                }
+            });
+            if (stopped()) {
+                // Stopped during the permission prompt: don't leave the mic open
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+            this.mediaStream = stream;
+
+            const sampleRate = this.audioContext.sampleRate;
+            this.results = [];
+            this.kaldiRecognizer = new this.model.KaldiRecognizer(sampleRate);
+            this.kaldiRecognizer.setWords(true);
+            this.kaldiRecognizer.on('result', (message) => this.handleFinal(message.result));
+            this.kaldiRecognizer.on('partialresult', (message) => this.handlePartial(message.result));
+
+            this.sourceNode = this.audioContext.createMediaStreamSource(this.mediaStream);
+            this.captureNode = new AudioWorkletNode(this.audioContext, 'vosk-capture');
+            this.captureNode.port.onmessage = (event) => {
+                if (this.kaldiRecognizer) {
+                    this.kaldiRecognizer.acceptWaveformFloat(event.data, sampleRate);
+                }
+            };
+            this.sourceNode.connect(this.captureNode);
+        } catch (error) {
+            if (stopped()) return;
+            this.teardown();
+            this.emitError(error.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture');
+            throw error;
+        }
+    }
+
+    handlePartial(result) {
+        const partial = (result.partial || '').trim();
+        if (!partial) return;
+        // Partial results replace the pending (non-final) entry at the end of the list
+        this.emitResult({
+            resultIndex: this.results.length,
+            results: [...this.results, createResult(partial, false)]
+        });
+    }
+
+    handleFinal(result) {
+        const text = (result.text || '').trim();
+        if (!text) return;
+
+        // Average per-word confidence when vosk provides it
+        let confidence = 1;
+        if (Array.isArray(result.result) && result.result.length > 0) {
+            confidence = result.result.reduce((sum, word) => sum + (word.conf || 0), 0) / result.result.length;
+        }
+
+        this.results.push(createResult(text, true, confidence));
+        this.emitResult({
+            resultIndex: this.results.length - 1,
+            results: [...this.results]
+        });
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+        this.teardown();
+        this.emitEnd();
+    }
+
+    teardown() {
+        this.isRunning = false;
+        this.startAttempt = null;
+        if (this.sourceNode) {
+            this.sourceNode.disconnect();
+            this.sourceNode = null;
+        }
+        if (this.captureNode) {
+            this.captureNode.port.onmessage = null;
+            this.captureNode.disconnect();
+            this.captureNode = null;
+        }
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => track.stop());
+            this.mediaStream = null;
+        }
+        if (this.kaldiRecognizer) {
+            this.kaldiRecognizer.remove();
+            this.kaldiRecognizer = null;
+        }
+    }
+}
+
+// Replays a recorded or hand-written script of timed result events instead of listening to a
+// microphone, so triggers can be regression-tested against lesson transcripts. A script is
+//   { "style": "incremental" | "cumulative", "events": [
+//       { "t": 1200, "transcript": "play the", "final": false },
+//       { "t": 1900, "transcript": "play the peacock", "final": true, "confidence": 0.92,
+//         "alternatives": [{ "transcript": "play the pea cock", "confidence": 0.6 }] } ] }
+// t is milliseconds from the start of the replay. Events build result lists the way engines do:
+// 'incremental' (desktop Chrome) keeps one result per finalized utterance, 'cumulative' (Android
+// Chrome) repeats all earlier text in every new result. An event may instead carry a raw
+// { resultIndex, results: [{ transcript, isFinal, confidence }] } to reproduce a capture exactly.
+// A bare events array and a session history export (transcript entries) are accepted too.
+export function parseRecognizerScript(data) {
+    const script = typeof data === 'string' ? JSON.parse(data) : data;
+    let style = 'incremental';
+    let events;
+
+    if (Array.isArray(script)) {
+        events = script;
+    } else if (script && Array.isArray(script.events)) {
+        style = script.style || style;
+        events = script.events;
+    } else if (script && Array.isArray(script.entries)) {
+        // Session history: replay each final segment as one interim at its start and a final at its end
+        events = script.entries
+            .filter(entry => entry.type === 'transcript' && entry.text)
+            .flatMap(entry => [
+                { t: entry.start, transcript: entry.text.split(/\s+/)[0], final: false },
+                { t: entry.end, transcript: entry.text, final: true }
+            ]);
+    } else {
+        throw new Error('Script must be an events array, { events: [...] } or a session history export');
+    }
+
+    if (style !== 'incremental' && style !== 'cumulative') {
+        throw new Error(`Unknown script style "${style}"`);
+    }
+
+    events = events.map((event, index) => {
+        const t = Number(event.t ?? event.time);
+        if (!Number.isFinite(t) || t < 0) {
+            throw new Error(`Script event ${index + 1} has no valid time`);
+        }
+        if (!Array.isArray(event.results) && typeof event.transcript !== 'string') {
+            throw new Error(`Script event ${index + 1} has neither transcript nor results`);
+        }
+        return { ...event, t };
+    }).sort((a, b) => a.t - b.t);
+
+    return { style, events };
+}
+
+export class ScriptedEngine extends RecognizerEngine {
+    constructor(options = {}) {
+        super();
+        this.script = options.script ? parseRecognizerScript(options.script) : { style: 'incremental', events: [] };
+        this.oncomplete = null; // Called once every event has been replayed
+        this.completed = false;
+        this.startedAt = null; // performance.now() of the first start(); the script clock runs from here
+        this.position = 0; // Next event to replay
+        this.skippedEvents = 0; // Events that came due while stopped (e.g. paused for playback)
+        this.finalTexts = [];
+        this.results = [];
+        this.timer = null;
+        this.isRunning = false;
+    }
+
+    get name() {
+        return 'Scripted replay';
+    }
+
+    get isOffline() {
+        return true;
+    }
+
+    get isFinished() {
+        return this.position >= this.script.events.length;
+    }
+
+    // Milliseconds on the script's clock. Like a real microphone, the clock keeps running while
+    // the engine is stopped, so speech during a pause is lost rather than delayed.
+    get currentTime() {
+        return this.startedAt === null ? 0 : performance.now() - this.startedAt;
+    }
+
+    start() {
+        if (this.isRunning) {
+            const error = new Error('Scripted recognizer already started');
+            error.name = 'InvalidStateError';
+            throw error;
+        }
+        if (this.startedAt === null) {
+            this.startedAt = performance.now();
+        }
+        this.isRunning = true;
+        // Every start begins a fresh results list, as real engines do
+        this.results = [];
+        this.finalTexts = [];
+
+        // Drop whatever was "said" while we weren't listening
+        while (!this.isFinished && this.script.events[this.position].t < this.currentTime) {
+            this.position++;
+            this.skippedEvents++;
+        }
+        this.scheduleNext();
+    }
+
+    scheduleNext() {
+        if (this.isFinished) {
+            // Like a microphone in a silent room, keep running until stopped
+            if (!this.completed) {
+                this.completed = true;
+                if (this.oncomplete) this.oncomplete();
+            }
+            return;
+        }
+        const delay = Math.max(0, this.script.events[this.position].t - this.currentTime);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.emitResult(this.buildEvent(this.script.events[this.position++]));
+            if (this.isRunning && !this.timer) this.scheduleNext();
+        }, delay);
+    }
+
+    buildEvent(event) {
+        if (Array.isArray(event.results)) {
+            const results = event.results.map(r => {
+                const result = createResult(r.transcript, !!r.isFinal, r.confidence ?? 1);
+                (r.alternatives || []).forEach(alt => result.push(this.toAlternative(alt)));
+                return result;
+            });
+            return { resultIndex: event.resultIndex ?? Math.max(0, results.length - 1), results };
+        }
+
+        const isFinal = !!event.final;
+        // Cumulative platforms prefix every result with everything finalized so far
+        const prefix = this.script.style === 'cumulative' ? this.finalTexts.join(' ') : '';
+        const withPrefix = text => (prefix ? `${prefix} ${text}` : text).trim();
+
+        const result = createResult(withPrefix(event.transcript), isFinal, event.confidence ?? 1);
+        (event.alternatives || []).forEach(alt => {
+            const alternative = this.toAlternative(alt);
+            result.push({ ...alternative, transcript: withPrefix(alternative.transcript) });
+        });
+
+        const emitted = { resultIndex: this.results.length, results: [...this.results, result] };
+        if (isFinal) {
+            this.results.push(result);
+            this.finalTexts.push(event.transcript.trim());
+        }
+        return emitted;
+    }
+
+    toAlternative(alt) {
+        return typeof alt === 'string'
+            ? { transcript: alt, confidence: 0 }
+            : { transcript: alt.transcript, confidence: alt.confidence ?? 0 };
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (!this.isRunning) return;
+        this.isRunning = false;
+        this.emitEnd();
+    }
+}
@@ -0,0 +1,146 @@
+// Turns recognizer result events into "what's new" for the app
+//
+// Engines report a growing results list, but not all the same way:
+//   incremental (desktop Chrome, Safari, Vosk) - each finalized utterance is its own result
+//   cumulative (Android Chrome)                - every new result repeats all earlier text
+// Taking just the last result re-matches old text on cumulative platforms and skips earlier
+// finals when one event finalizes several results at once. The normalizer walks every result
+// after the last one it processed, detects cumulative streams by their repeated prefix, and
+// returns only the newly finalized text (plus the in-progress interim text).
+// Android is assumed cumulative up front; elsewhere two finals in a row that repeat all earlier
+// text are needed, so saying "play" and then "play the peacock" doesn't flip a desktop stream.
+// Until then a repeated prefix is still stripped - re-matching old text would fire its cue
+// again - and only a final that doesn't repeat it proves the stream incremental.
+
+const CUMULATIVE_EVIDENCE = 2; // Consecutive prefixed finals before a stream counts as cumulative
+
+// Compare text loosely; engines change case and punctuation between results
+function comparable(text) {
+    return text.toLowerCase().replace(/[.,!?;:"]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// Remove prefix (compared loosely) from the start of text, on a word boundary.
+// Returns the remainder, or null if text doesn't start with prefix.
+function stripPrefix(text, prefix) {
+    const target = comparable(prefix);
+    if (!target) return text.trim();
+
+    const words = text.trim().split(/\s+/);
+    for (let i = 1; i <= words.length; i++) {
+        const head = comparable(words.slice(0, i).join(' '));
+        if (head === target) {
+            return words.slice(i).join(' ');
+        }
+        if (head.length > target.length) break;
+    }
+    return null;
+}
+
+export class ResultStreamNormalizer {
+    constructor() {
+        // true/false once known, null while undecided
+        this.isCumulativePlatform = typeof navigator !== 'undefined' && /Android/i.test(navigator.userAgent) ? true : null;
+        this.lastProcessedResultIndex = -1;
+        this.finalizedText = ''; // Everything finalized since the engine started this results list
+        this.finalTexts = []; // Final transcript seen at each result index
+        this.prefixedFinals = 0;
+    }
+
+    // Call whenever the engine starts a fresh results list (each recognizer start)
+    reset() {
+        this.lastProcessedResultIndex = -1;
+        this.finalizedText = '';
+        this.finalTexts = [];
+    }
+
+    // Returns { finals: [{ transcript, alternatives: [{ transcript, confidence }] }], interim }
+    // with only text not seen before. A cumulative prefix is stripped from every alternative.
+    process(event) {
+        const results = event.results;
+        const finals = [];
+        let interim = '';
+
+        // A shorter list means the engine quietly started over
+        if (results.length - 1 < this.lastProcessedResultIndex) {
+            this.reset();
+        }
+
+        // Some engines (Android again) re-finalize a result we already processed
+        const start = Math.min(this.lastProcessedResultIndex + 1, event.resultIndex ?? Infinity);
+        for (let i = start; i < results.length; i++) {
+            const result = results[i];
+            const transcript = (result[0] && result[0].transcript || '').trim();
+
+            if (!result.isFinal) {
+                const delta = this.isCumulativePlatform !== false ? stripPrefix(transcript, this.finalizedText) : null;
+                interim = [interim, delta ?? transcript].filter(Boolean).join(' ');
+                continue;
+            }
+
+            // Results finalize in order; never move past an interim one
+            if (interim) break;
+            this.lastProcessedResultIndex = Math.max(this.lastProcessedResultIndex, i);
+
+            const seen = this.finalTexts[i];
+            this.finalTexts[i] = transcript;
+            let prefix;
+            let delta;
+            if (seen !== undefined) {
+                // Only whatever the engine added to the result is new
+                if (comparable(seen) === comparable(transcript)) continue;
+                prefix = seen;
+                delta = stripPrefix(transcript, seen) ?? transcript;
+                this.finalizedText = this.isCumulativePlatform ? transcript : `${this.finalizedText} ${delta}`.trim();
+            } else {
+                prefix = this.finalizedText;
+                delta = this.takeFinal(transcript);
+            }
+            if (!delta) continue;
+
+            const alternatives = Array.from(result).map(alternative => {
+                const text = (alternative.transcript || '').trim();
+                const stripped = seen !== undefined || this.isCumulativePlatform !== false ? stripPrefix(text, prefix) : null;
+                return { transcript: stripped ?? text, confidence: alternative.confidence };
+            });
+            alternatives[0].transcript = delta;
+            finals.push({ transcript: delta, alternatives });
+        }
+
+        return { finals, interim };
+    }
+
+    // Work out the new part of a final transcript, learning the platform behavior on the way
+    takeFinal(transcript) {
+        const remainder = this.finalizedText ? stripPrefix(transcript, this.finalizedText) : null;
+
+        if (this.finalizedText && this.isCumulativePlatform !== true) {
+            if (remainder) {
+                // Repeating all earlier text plus something new is what cumulative streams do
+                this.prefixedFinals++;
+                if (this.prefixedFinals >= CUMULATIVE_EVIDENCE) {
+                    this.isCumulativePlatform = true;
+                    console.log('📱 Recognizer repeats earlier results: treating stream as cumulative');
+                } else {
+                    // Not sure yet: pass on only the new part, and compare the next final against this one
+                    this.finalizedText = transcript;
+                    return remainder;
+                }
+            } else if (remainder === null) {
+                this.prefixedFinals = 0;
+                if (this.isCumulativePlatform === null) {
+                    this.isCumulativePlatform = false;
+                    console.log('🖥️ Recognizer results are incremental');
+                }
+            }
+        }
+
+        if (this.isCumulativePlatform) {
+            // remainder === null: the engine dropped its history, so all of it is new
+            this.finalizedText = transcript;
+            return remainder ?? transcript;
+        }
+
+        this.finalizedText = [this.finalizedText, transcript].filter(Boolean).join(' ');
+        return transcript;
+    }
+}
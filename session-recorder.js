@@ -0,0 +1,136 @@
+// Session history: every final transcript segment, trigger detection and playback event,
+// timestamped relative to the start of the recording, with JSON/CSV/SRT/WebVTT export.
+
+const DEFAULT_MARKER_MS = 2000; // Caption length for cue markers without a known playback end
+
+function formatTimestamp(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor(total / 60000) % 60;
+    const seconds = Math.floor(total / 1000) % 60;
+    const millis = total % 1000;
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+}
+
+// Cue text as both SRT and WebVTT players read it: & and < start markup, and an arrow would be
+// taken for a timing line
+function cueText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/-->/g, '--&gt;');
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export class SessionRecorder {
+    constructor() {
+        this.startTime = null; // Epoch ms the recording started
+        this.entries = [];
+    }
+
+    get isRecording() {
+        return this.startTime !== null;
+    }
+
+    start(startTime = Date.now()) {
+        // Keeps recording across stop/start so one lesson stays one timeline
+        if (this.startTime === null) {
+            this.startTime = startTime;
+        }
+    }
+
+    clear() {
+        this.startTime = null;
+        this.entries = [];
+    }
+
+    relative(time) {
+        return time - this.startTime;
+    }
+
+    add(type, data = {}, time = Date.now()) {
+        if (!this.isRecording) return null;
+        const entry = { type, t: this.relative(time), ...data };
+        this.entries.push(entry);
+        return entry;
+    }
+
+    // A final transcript segment spanning startTime..endTime (epoch ms)
+    addTranscript(text, startTime, endTime = Date.now()) {
+        return this.add('transcript', {
+            text,
+            start: this.relative(Math.min(startTime, endTime)),
+            end: this.relative(endTime)
+        }, endTime);
+    }
+
+    addTrigger(phrase, details = {}) {
+        return this.add('trigger', { phrase, ...details });
+    }
+
+    addPlayback(stage, phrase, details = {}) {
+        // stage: 'start', 'end' or 'error'
+        return this.add(`playback-${stage}`, { phrase, ...details });
+    }
+
+    toJSON() {
+        return {
+            startedAt: this.startTime ? new Date(this.startTime).toISOString() : null,
+            entries: this.entries
+        };
+    }
+
+    toCSV() {
+        const header = ['time_ms', 'time', 'type', 'phrase', 'text', 'score', 'details'];
+        const rows = this.entries.map(entry => {
+            const { type, t, phrase, text, score, ...rest } = entry;
+            return [
+                t,
+                formatTimestamp(t, '.'),
+                type,
+                phrase,
+                text,
+                typeof score === 'number' ? score.toFixed(3) : score,
+                Object.keys(rest).length > 0 ? JSON.stringify(rest) : ''
+            ].map(csvField).join(',');
+        });
+        return [header.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+
+    // Caption cues: transcript segments plus a marker for every cue played
+    captionCues() {
+        const cues = [];
+        this.entries.forEach((entry, index) => {
+            if (entry.type === 'transcript') {
+                cues.push({ start: entry.start, end: Math.max(entry.end, entry.start + 500), text: entry.text });
+            } else if (entry.type === 'playback-start') {
+                // Marker lasts until this clip's end (or error) event
+                const finish = this.entries.slice(index + 1).find(e =>
+                    (e.type === 'playback-end' || e.type === 'playback-error') && e.phrase === entry.phrase);
+                const end = finish ? finish.t : entry.t + DEFAULT_MARKER_MS;
+                const source = entry.source ? ` (${entry.source})` : '';
+                cues.push({ start: entry.t, end: Math.max(end, entry.t + 500), text: `[♪ Cue: ${entry.phrase}${source}]` });
+            }
+        });
+        return cues.sort((a, b) => a.start - b.start);
+    }
+
+    toSRT() {
+        return this.captionCues().map((cue, index) =>
+            `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cueText(cue.text)}\n`
+        ).join('\n');
+    }
+
+    toWebVTT() {
+        const cues = this.captionCues().map(cue =>
+            `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cueText(cue.text)}\n`
+        );
+        return ['WEBVTT\n', ...cues].join('\n');
+    }
+}
@@ -0,0 +1,188 @@
+// Carnatic swara synthesizer
+//
+// Renders notation such as "S R2 G3 M1 P D2 N3 Ṡ" into samples, so a trigger can have a clip
+// without anyone recording it. Each token is one swara held for one beat at the given tempo:
+//   S R1 R2 R3 G1 G2 G3 M1 M2 P D1 D2 D3 N1 N2 N3   swarasthanas (R, G, M, D, N alone mean R2 G3 M1 D2 N3)
+//   Ṡ / S' (dot above)  Ṣ / P. (dot below)          upper / lower octave
+//   S, or a lone ,                                   hold one more beat (; holds two)
+//   -                                                rest for a beat
+//   | and ||                                         bar lines, ignored
+// Pitches are just-intonation ratios to the tonic (Sa), which can be given in Hz or as a
+// note name like "C#3".
+
+export const DEFAULT_TONIC = 'C4';
+export const DEFAULT_TEMPO = 90; // Beats (swaras) per minute
+
+// Swarasthana ratios to Sa. Some positions share a pitch (R2 = G1, R3 = G2, D2 = N1, D3 = N2).
+export const SWARA_RATIOS = {
+    S: 1,
+    R1: 16 / 15, R2: 9 / 8, R3: 6 / 5,
+    G1: 9 / 8, G2: 6 / 5, G3: 5 / 4,
+    M1: 4 / 3, M2: 45 / 32,
+    P: 3 / 2,
+    D1: 8 / 5, D2: 5 / 3, D3: 16 / 9,
+    N1: 5 / 3, N2: 16 / 9, N3: 15 / 8
+};
+
+const DEFAULT_VARIANTS = { R: 'R2', G: 'G3', M: 'M1', D: 'D2', N: 'N3' }; // Shankarabharanam
+
+const NOTE_OFFSETS = { C: -9, D: -7, E: -5, F: -4, G: -2, A: 0, B: 2 }; // Semitones from A
+
+const DOT_ABOVE = '\u0307';
+const DOT_BELOW = '\u0323';
+
+// Relative strength of each harmonic; a reedy, harmonium-like tone
+const HARMONICS = [1, 0.6, 0.4, 0.25, 0.2, 0.12, 0.08, 0.05];
+
+const ATTACK_MS = 20;
+const DECAY_MS = 120;
+const SUSTAIN_LEVEL = 0.7;
+const RELEASE_MS = 80; // Overlaps the next note, so a phrase doesn't sound chopped
+const PEAK_LEVEL = 0.8;
+
+// Tonic in Hz from a number or a note name ("C", "C#3", "Db4"; octave 4 if left out).
+// Returns null for anything else.
+export function parseTonic(tonic) {
+    if (typeof tonic === 'number') {
+        return tonic > 0 ? tonic : null;
+    }
+    if (typeof tonic !== 'string') return null;
+    const text = tonic.trim();
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return parseFloat(text) || null;
+    }
+
+    const match = text.match(/^([A-Ga-g])([#b♯♭]?)(-?\d)?$/);
+    if (!match) return null;
+    const accidental = { '#': 1, '♯': 1, b: -1, '♭': -1 }[match[2]] || 0;
+    const octave = match[3] !== undefined ? parseInt(match[3]) : 4;
+    const semitones = NOTE_OFFSETS[match[1].toUpperCase()] + accidental + (octave - 4) * 12;
+    return 440 * Math.pow(2, semitones / 12);
+}
+
+function parseToken(token) {
+    // Octave marks first: combining dots (precomposed Ṡ decomposes to S + dot), ' and .
+    let text = token.normalize('NFD');
+    let octave = 0;
+    text = text.replace(new RegExp(`[${DOT_ABOVE}']`, 'g'), () => { octave++; return ''; });
+    text = text.replace(new RegExp(`[${DOT_BELOW}.]`, 'g'), () => { octave--; return ''; });
+
+    // Trailing commas/semicolons extend the note (karvai)
+    let beats = 1;
+    text = text.replace(/[,;]+$/, (holds) => {
+        beats += [...holds].reduce((sum, hold) => sum + (hold === ';' ? 2 : 1), 0);
+        return '';
+    });
+
+    if (text === '-') {
+        return { swara: null, ratio: null, octave: 0, beats };
+    }
+
+    const match = text.match(/^([SRGMPDN])([1-3]?)$/i);
+    if (!match) {
+        throw new Error(`Unknown swara "${token}"`);
+    }
+    const letter = match[1].toUpperCase();
+    const swara = match[2] ? letter + match[2] : (DEFAULT_VARIANTS[letter] || letter);
+    if (!(swara in SWARA_RATIOS)) {
+        throw new Error(`Unknown swarasthana "${token}"`);
+    }
+    return { swara, ratio: SWARA_RATIOS[swara], octave, beats };
+}
+
+// Notation to a list of notes: { swara, ratio, octave, beats } (swara null for a rest).
+// Throws on anything it can't read.
+export function parseNotation(notation) {
+    const notes = [];
+    const tokens = String(notation || '').split(/\s+/).filter(token => token && !/^\|+$/.test(token));
+    for (const token of tokens) {
+        if (/^[,;]+$/.test(token)) {
+            // A lone hold extends whatever came before it
+            if (notes.length === 0) {
+                throw new Error('Notation cannot start with a hold (, or ;)');
+            }
+            notes[notes.length - 1].beats += [...token].reduce((sum, hold) => sum + (hold === ';' ? 2 : 1), 0);
+            continue;
+        }
+        notes.push(parseToken(token));
+    }
+    if (notes.length === 0) {
+        throw new Error('Notation has no swaras');
+    }
+    return notes;
+}
+
+export function swaraFrequency(note, tonicHz) {
+    return tonicHz * note.ratio * Math.pow(2, note.octave);
+}
+
+function envelopeAt(time, holdTime) {
+    // Attack/decay/sustain while the note is held, then release
+    const attack = ATTACK_MS / 1000;
+    const decay = DECAY_MS / 1000;
+    const release = RELEASE_MS / 1000;
+    let level;
+    if (time < attack) {
+        level = time / attack;
+    } else if (time < attack + decay) {
+        level = 1 - (1 - SUSTAIN_LEVEL) * (time - attack) / decay;
+    } else {
+        level = SUSTAIN_LEVEL;
+    }
+    if (time > holdTime) {
+        level *= Math.max(0, 1 - (time - holdTime) / release);
+    }
+    return level;
+}
+
+// Render notation to mono samples: { samples: Float32Array, sampleRate, durationMs, notes }.
+// options: { tonic (Hz or note name), tempo (beats per minute), sampleRate }
+export function synthesizeNotation(notation, options = {}) {
+    const notes = parseNotation(notation);
+    const tonicHz = parseTonic(options.tonic ?? DEFAULT_TONIC);
+    if (!tonicHz) {
+        throw new Error(`Unknown tonic "${options.tonic}"`);
+    }
+    const tempo = options.tempo > 0 ? options.tempo : DEFAULT_TEMPO;
+    const sampleRate = options.sampleRate || 44100;
+    const beatSeconds = 60 / tempo;
+
+    const totalBeats = notes.reduce((sum, note) => sum + note.beats, 0);
+    const length = Math.ceil((totalBeats * beatSeconds + RELEASE_MS / 1000) * sampleRate);
+    const samples = new Float32Array(length);
+
+    let startBeat = 0;
+    for (const note of notes) {
+        const holdTime = note.beats * beatSeconds;
+        const start = Math.round(startBeat * beatSeconds * sampleRate);
+        startBeat += note.beats;
+        if (!note.swara) continue;
+
+        const frequency = swaraFrequency(note, tonicHz);
+        // Harmonics above Nyquist would alias
+        const harmonics = HARMONICS.filter((_, index) => frequency * (index + 1) < sampleRate / 2);
+        const end = Math.min(length, start + Math.ceil((holdTime + RELEASE_MS / 1000) * sampleRate));
+        for (let i = start; i < end; i++) {
+            const time = (i - start) / sampleRate;
+            let value = 0;
+            for (let h = 0; h < harmonics.length; h++) {
+                value += harmonics[h] * Math.sin(2 * Math.PI * frequency * (h + 1) * time);
+            }
+            samples[i] += value * envelopeAt(time, holdTime);
+        }
+    }
+
+    // Normalize so every phrase plays at the same level
+    let peak = 0;
+    for (let i = 0; i < length; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    if (peak > 0) {
+        const gain = PEAK_LEVEL / peak;
+        for (let i = 0; i < length; i++) {
+            samples[i] *= gain;
+        }
+    }
+
+    return { samples, sampleRate, durationMs: Math.round(length / sampleRate * 1000), notes };
+}
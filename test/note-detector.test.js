@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NoteDetector, parseNote, noteFrequency } from '../note-detector.js';
+import { swaraFrequency } from '../swara-synth.js';
+
+const TONIC = 200;
+const pa = { trigger: { id: 'pa' }, frequency: 300, holdMs: 500, toleranceCents: 40 };
+
+// Feed one pitch every 50 ms from start to end (inclusive); returns every firing
+function sing(detector, frequency, start, end, targets = [pa]) {
+    const fired = [];
+    for (let now = start; now <= end; now += 50) {
+        fired.push(...detector.update(frequency, targets, now));
+    }
+    return fired;
+}
+
+test('parseNote reads one swara and noteFrequency places it against the tonic', () => {
+    assert.equal(noteFrequency(parseNote('P'), TONIC), 300);
+    assert.equal(noteFrequency(parseNote("S'"), TONIC), 400);
+    assert.equal(noteFrequency(parseNote('\u1e60'), TONIC), 400);
+    assert.throws(() => parseNote('S R'), /not a single swara/);
+    assert.throws(() => parseNote('-'), /not a single swara/);
+});
+
+test('notes are heard at the pitch the synthesizer plays them', () => {
+    assert.equal(noteFrequency, swaraFrequency);
+});
+
+test('a held note fires once, when it has been held for holdMs', () => {
+    const detector = new NoteDetector();
+    assert.deepEqual(sing(detector, 301, 1000, 1450), []);
+    const fired = sing(detector, 301, 1500, 3000);
+    assert.equal(fired.length, 1);
+    assert.equal(fired[0].trigger.id, 'pa');
+    assert.equal(fired[0].heldMs, 500);
+    assert.equal(fired[0].frequency, 301);
+    assert.ok(fired[0].cents > 5 && fired[0].cents < 6);
+});
+
+test('a note out of tune does not fire', () => {
+    const detector = new NoteDetector();
+    assert.deepEqual(sing(detector, 320, 0, 2000), []); // About 112 cents sharp
+});
+
+test('a brief dropout does not restart the hold', () => {
+    const detector = new NoteDetector();
+    sing(detector, 300, 0, 200);
+    sing(detector, null, 250, 300); // 100 ms without pitch
+    const fired = sing(detector, 300, 350, 500);
+    assert.equal(fired.length, 1);
+    assert.equal(fired[0].heldMs, 500);
+});
+
+test('a longer gap restarts the hold', () => {
+    const detector = new NoteDetector();
+    sing(detector, 300, 0, 200);
+    sing(detector, null, 250, 400);
+    assert.deepEqual(sing(detector, 300, 450, 900), []);
+    assert.equal(sing(detector, 300, 950, 950).length, 1);
+});
+
+test('after the note is released the trigger can fire again', () => {
+    const detector = new NoteDetector();
+    assert.equal(sing(detector, 300, 0, 1000).length, 1);
+    sing(detector, 250, 1050, 1300); // A different note
+    assert.equal(sing(detector, 300, 1350, 2000).length, 1);
+});
+
+test('triggers that are no longer targets are forgotten', () => {
+    const detector = new NoteDetector();
+    sing(detector, 300, 0, 200);
+    detector.update(300, [], 250);
+    assert.equal(detector.states.size, 0);
+});
+
+test('detect estimates the pitch of a frame before updating', () => {
+    const detector = new NoteDetector();
+    const sampleRate = 16000;
+    const frame = new Float32Array(2048).map((_, i) => 0.5 * Math.sin(2 * Math.PI * 300 * i / sampleRate));
+    const target = { ...pa, holdMs: 100 };
+    assert.deepEqual(detector.detect(frame, sampleRate, [target], 0), []);
+    assert.ok(Math.abs(detector.lastPitch - 300) < 1);
+    assert.equal(detector.detect(frame, sampleRate, [target], 100).length, 1);
+    assert.deepEqual(detector.detect(null, sampleRate, [target], 150), []);
+    assert.equal(detector.lastPitch, null);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { semitonesBetween, timeStretch } from '../pitch-shift.js';
+
+const SAMPLE_RATE = 8000;
+
+function sine(frequency, length, amplitude = 0.5) {
+    return new Float32Array(length).map((_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE));
+}
+
+// Frequency from upward zero crossings, ignoring the fade in and out at either end
+function frequencyOf(samples) {
+    const from = Math.floor(samples.length * 0.1);
+    const to = Math.floor(samples.length * 0.9);
+    let crossings = 0;
+    for (let i = from + 1; i < to; i++) {
+        if (samples[i - 1] < 0 && samples[i] >= 0) crossings++;
+    }
+    return crossings * SAMPLE_RATE / (to - from);
+}
+
+test('semitonesBetween', () => {
+    assert.equal(semitonesBetween(220, 440), 12);
+    assert.equal(semitonesBetween(440, 220), -12);
+    assert.ok(Math.abs(semitonesBetween(261.63, 293.66) - 2) < 0.01);
+});
+
+test('timeStretch changes the length but not the pitch', () => {
+    const input = sine(200, SAMPLE_RATE);
+    for (const outputLength of [SAMPLE_RATE * 1.5, SAMPLE_RATE * 0.75]) {
+        const [output] = timeStretch([input], outputLength, SAMPLE_RATE);
+        assert.equal(output.length, outputLength);
+        assert.ok(Math.abs(frequencyOf(output) - 200) < 5, `${frequencyOf(output)} Hz after stretching to ${outputLength}`);
+    }
+});
+
+test('timeStretch keeps the level of a steady tone', () => {
+    const [output] = timeStretch([sine(200, SAMPLE_RATE)], SAMPLE_RATE * 2, SAMPLE_RATE);
+    let peak = 0;
+    for (let i = SAMPLE_RATE / 2; i < SAMPLE_RATE * 1.5; i++) {
+        peak = Math.max(peak, Math.abs(output[i]));
+    }
+    assert.ok(peak > 0.4 && peak < 0.6, `peak ${peak}`);
+});
+
+test('timeStretch moves every channel the same way so they stay in phase', () => {
+    const left = sine(200, SAMPLE_RATE);
+    const [stretchedLeft, stretchedRight] = timeStretch([left, sine(300, SAMPLE_RATE, 0.2)], SAMPLE_RATE * 1.25, SAMPLE_RATE);
+    assert.equal(stretchedLeft.length, stretchedRight.length);
+    assert.ok(Math.abs(frequencyOf(stretchedRight) - 300) < 5);
+
+    // A mono clip in two channels comes out as two identical channels
+    const [first, second] = timeStretch([left, left.slice()], SAMPLE_RATE * 1.25, SAMPLE_RATE);
+    assert.deepEqual(first, second);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PlaybackEngine } from '../playback-engine.js';
+
+// Just enough AudioContext to load clips; each decode waits until the test finishes it
+function fakeContext() {
+    const decodes = [];
+    return {
+        decodes,
+        state: 'running',
+        destination: {},
+        createGain: () => ({ gain: { value: 1 }, connect() {}, disconnect() {} }),
+        decodeAudioData(data, resolve) {
+            decodes.push(() => resolve({ decoded: decodes.length, duration: 1 }));
+        }
+    };
+}
+
+function engineWithFetch(t) {
+    const context = fakeContext();
+    const fetched = [];
+    t.mock.method(globalThis, 'fetch', async (url) => {
+        fetched.push(url);
+        return { ok: true, arrayBuffer: async () => new ArrayBuffer(8) };
+    });
+    return { engine: new PlaybackEngine(context), context, fetched };
+}
+
+// Let fetch() and arrayBuffer() settle so the decode has been requested
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('a loaded clip is cached and shared by later loads', async (t) => {
+    const { engine, context, fetched } = engineWithFetch(t);
+    const first = engine.load('peacock', 'audio/peacock.mp3');
+    const second = engine.load('peacock', 'audio/peacock.mp3');
+    await settle();
+    context.decodes[0]();
+    assert.equal(await first, await second);
+    assert.ok(engine.has('peacock', 'audio/peacock.mp3'));
+    assert.equal(await engine.load('peacock', 'audio/peacock.mp3'), await first);
+    assert.deepEqual(fetched, ['audio/peacock.mp3']);
+});
+
+test('a decode still in flight when the clip is invalidated does not refill the cache', async (t) => {
+    const { engine, context, fetched } = engineWithFetch(t);
+    const stale = engine.load('peacock', 'audio/peacock.mp3');
+    await settle();
+    engine.invalidate('peacock');
+    context.decodes[0]();
+    await stale;
+    assert.equal(engine.has('peacock', 'audio/peacock.mp3'), false);
+    assert.equal(engine.getBuffer('peacock'), null);
+
+    const fresh = engine.load('peacock', 'audio/peacock.mp3');
+    await settle();
+    context.decodes[1]();
+    assert.equal((await fresh).decoded, 2);
+    assert.equal(engine.getBuffer('peacock').decoded, 2);
+    assert.equal(fetched.length, 2);
+});
+
+test('clear() also discards decodes in flight', async (t) => {
+    const { engine, context } = engineWithFetch(t);
+    const stale = engine.load('peacock', 'audio/peacock.mp3');
+    await settle();
+    engine.clear();
+    context.decodes[0]();
+    await stale;
+    assert.equal(engine.getBuffer('peacock'), null);
+});
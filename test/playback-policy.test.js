@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPlaybackPolicy, resolvePlaybackPolicy } from '../playback-policy.js';
+
+const peacock = { phrase: 'the peacock', playbackPolicy: null };
+const bird = { phrase: 'the bird', playbackPolicy: null };
+
+test('queue waits behind the triggers already queued', () => {
+    const queue = [bird];
+    assert.equal(applyPlaybackPolicy(queue, peacock, 'queue'), 'queued');
+    assert.deepEqual(queue, [bird, peacock]);
+});
+
+test('interrupt jumps to the front of the queue', () => {
+    const queue = [bird];
+    assert.equal(applyPlaybackPolicy(queue, peacock, 'interrupt'), 'interrupting');
+    assert.deepEqual(queue, [peacock, bird]);
+});
+
+test('drop leaves the queue alone', () => {
+    const queue = [bird];
+    assert.equal(applyPlaybackPolicy(queue, peacock, 'drop'), 'dropped');
+    assert.deepEqual(queue, [bird]);
+});
+
+test("a trigger's own policy wins over the global one", () => {
+    const queue = [];
+    assert.equal(applyPlaybackPolicy(queue, { ...peacock, playbackPolicy: 'drop' }, 'queue'), 'dropped');
+    assert.equal(applyPlaybackPolicy(queue, { ...bird, playbackPolicy: 'interrupt' }, 'drop'), 'interrupting');
+    assert.equal(queue.length, 1);
+});
+
+test('an unknown policy counts as unset', () => {
+    assert.equal(resolvePlaybackPolicy(peacock, 'shuffle'), 'queue');
+    assert.equal(resolvePlaybackPolicy({ ...peacock, playbackPolicy: 'shuffle' }, 'drop'), 'drop');
+    assert.equal(resolvePlaybackPolicy(peacock, undefined), 'queue');
+});
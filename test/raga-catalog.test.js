@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { RagaCatalog, ragaClassification } from '../raga-catalog.js';
+
+const ragas = JSON.parse(readFileSync(new URL('../ragas.json', import.meta.url), 'utf8'));
+const catalog = new RagaCatalog().load(ragas);
+const ids = list => list.map(raga => raga.id);
+
+test('ragas.json loads every raga and clip', () => {
+    assert.equal(catalog.size, Object.keys(ragas.ragas).length);
+    assert.equal(catalog.clips.size, Object.keys(ragas.clips).length);
+});
+
+test('swaras come from the arohana and avarohana, low to high', () => {
+    assert.deepEqual(catalog.get('mohana').swaras, ['S', 'R2', 'G3', 'P', 'D2']);
+    assert.deepEqual(catalog.get('kalyani').swaras, ['S', 'R2', 'G3', 'M2', 'P', 'D2', 'N3']);
+});
+
+test('find looks ragas up by id, name or alias', () => {
+    assert.equal(catalog.find('mohana').id, 'mohana');
+    assert.equal(catalog.find('Kalyani').id, 'kalyani');
+    assert.equal(catalog.find(' Hamsa Dhvani ').id, 'hamsadhvani');
+    assert.equal(catalog.find('bilahari'), null);
+    assert.equal(catalog.find(''), null);
+});
+
+test('forClip finds the raga and part of a clip, with or without ./', () => {
+    const { clip, raga } = catalog.forClip('./audio/mohana-aar.mp3');
+    assert.equal(raga.id, 'mohana');
+    assert.equal(clip.part, 'arohana');
+    assert.equal(catalog.forClip('audio/unknown.mp3'), null);
+    assert.equal(catalog.forClip(null), null);
+    assert.deepEqual(catalog.clipsOf('shankarabharanam').map(clip => clip.part), ['arohana', 'avarohana']);
+});
+
+test('search matches every word against names, classification and swaras', () => {
+    assert.deepEqual(ids(catalog.search('M2')), ['kalyani']);
+    assert.deepEqual(ids(catalog.search('janya 29')), ['arabhi', 'hamsadhvani']);
+    assert.deepEqual(ids(catalog.search('hamsa')), ['hamsadhvani']);
+    assert.equal(catalog.search('').length, catalog.size);
+});
+
+test('ragaClassification', () => {
+    assert.equal(ragaClassification(catalog.get('kalyani')), 'Melakarta 65');
+    assert.equal(ragaClassification(catalog.get('mohana')), 'Janya of Harikambhoji (28)');
+    assert.equal(ragaClassification({ janyaOf: 'Kharaharapriya', melakarta: null }), 'Janya of Kharaharapriya');
+    assert.equal(ragaClassification({ melakarta: null }), 'Raga');
+});
+
+test('bad entries are skipped with a warning instead of failing the load', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const loaded = new RagaCatalog().load({
+        ragas: { odd: { arohana: 'S X P' }, broken: null },
+        clips: { 'audio/nowhere.mp3': { raga: 'missing' } }
+    });
+    assert.equal(loaded.size, 1);
+    assert.equal(loaded.get('odd').name, 'odd');
+    assert.deepEqual(loaded.get('odd').swaras, []);
+    assert.equal(loaded.clips.size, 0);
+    assert.equal(warn.mock.callCount(), 2);
+});
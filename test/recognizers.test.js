@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRecognizerScript, ScriptedEngine } from '../recognizers.js';
+
+// Runs the engine on a fake clock: advance(ms) moves both performance.now() and the timers
+function replay(t, script) {
+    let now = 0;
+    t.mock.method(performance, 'now', () => now);
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const engine = new ScriptedEngine({ script });
+    const events = [];
+    engine.onresult = event => events.push(event);
+    engine.advance = ms => {
+        for (let step = 0; step < ms; step += 10) {
+            now += 10;
+            t.mock.timers.tick(10);
+        }
+    };
+    engine.events = events;
+    return engine;
+}
+
+// Each emitted event as [resultIndex, [transcript, isFinal]...]
+const shape = event => [event.resultIndex, ...event.results.map(result => [result[0].transcript, result.isFinal])];
+
+test('parseRecognizerScript reads an events object, sorting by time', () => {
+    const script = parseRecognizerScript({
+        style: 'cumulative',
+        events: [
+            { t: 900, transcript: 'play the peacock', final: true },
+            { time: 300, transcript: 'play', final: false }
+        ]
+    });
+    assert.equal(script.style, 'cumulative');
+    assert.deepEqual(script.events.map(event => event.t), [300, 900]);
+});
+
+test('parseRecognizerScript accepts JSON text, a bare array and raw results', () => {
+    const script = parseRecognizerScript('[{ "t": "100", "results": [{ "transcript": "hi", "isFinal": true }] }]');
+    assert.equal(script.style, 'incremental');
+    assert.equal(script.events[0].t, 100);
+});
+
+test('parseRecognizerScript turns session history transcripts into an interim and a final', () => {
+    const script = parseRecognizerScript({
+        entries: [
+            { type: 'trigger', t: 500, phrase: 'the peacock' },
+            { type: 'transcript', t: 2000, start: 1000, end: 2000, text: 'play the peacock' }
+        ]
+    });
+    assert.deepEqual(script.events, [
+        { t: 1000, transcript: 'play', final: false },
+        { t: 2000, transcript: 'play the peacock', final: true }
+    ]);
+});
+
+test('parseRecognizerScript rejects what it cannot replay', () => {
+    assert.throws(() => parseRecognizerScript({ lines: [] }), /must be an events array/);
+    assert.throws(() => parseRecognizerScript({ style: 'streaming', events: [] }), /Unknown script style "streaming"/);
+    assert.throws(() => parseRecognizerScript([{ transcript: 'hi' }]), /event 1 has no valid time/);
+    assert.throws(() => parseRecognizerScript([{ t: 0 }, { t: -5, transcript: 'hi' }]), /event 1 has neither/);
+    assert.throws(() => parseRecognizerScript('not json'), SyntaxError);
+});
+
+test('incremental scripts keep one result per finalized utterance', (t) => {
+    const engine = replay(t, [
+        { t: 100, transcript: 'play the', final: false },
+        { t: 200, transcript: 'play the peacock', final: true, confidence: 0.9 },
+        { t: 300, transcript: 'now', final: true }
+    ]);
+    engine.start();
+    engine.advance(300);
+    assert.deepEqual(engine.events.map(shape), [
+        [0, ['play the', false]],
+        [0, ['play the peacock', true]],
+        [1, ['play the peacock', true], ['now', true]]
+    ]);
+    assert.equal(engine.events[1].results[0][0].confidence, 0.9);
+});
+
+test('cumulative scripts repeat earlier finals in every result', (t) => {
+    const engine = replay(t, {
+        style: 'cumulative',
+        events: [
+            { t: 100, transcript: 'play the peacock', final: true, alternatives: ['play the pea cock'] },
+            { t: 200, transcript: 'now', final: false }
+        ]
+    });
+    engine.start();
+    engine.advance(200);
+    assert.deepEqual(engine.events.map(shape), [
+        [0, ['play the peacock', true]],
+        [1, ['play the peacock', true], ['play the peacock now', false]]
+    ]);
+    assert.deepEqual(engine.events[0].results[0][1], { transcript: 'play the pea cock', confidence: 0 });
+});
+
+test('events are emitted on the script clock, then oncomplete fires once', (t) => {
+    const engine = replay(t, [{ t: 500, transcript: 'hi', final: true }]);
+    let completions = 0;
+    engine.oncomplete = () => completions++;
+    engine.start();
+    engine.advance(490);
+    assert.equal(engine.events.length, 0);
+    engine.advance(10);
+    assert.equal(engine.events.length, 1);
+    engine.advance(1000);
+    assert.equal(completions, 1);
+    assert.equal(engine.isRunning, true);
+});
+
+test('starting twice throws, and stop ends once', (t) => {
+    const engine = replay(t, []);
+    let ends = 0;
+    engine.onend = () => ends++;
+    engine.start();
+    assert.throws(() => engine.start(), { name: 'InvalidStateError' });
+    engine.stop();
+    engine.stop();
+    assert.equal(ends, 1);
+});
+
+test('speech while stopped is skipped, not delayed', (t) => {
+    const engine = replay(t, [
+        { t: 100, transcript: 'one', final: true },
+        { t: 300, transcript: 'two', final: true },
+        { t: 600, transcript: 'three', final: true }
+    ]);
+    engine.start();
+    engine.advance(150);
+    engine.stop();
+    engine.advance(400);
+    engine.start();
+    engine.advance(100);
+    assert.equal(engine.skippedEvents, 1);
+    assert.deepEqual(engine.events.map(event => event.results.at(-1)[0].transcript), ['one', 'three']);
+});
+
+test('a restart begins a fresh results list, as real engines do', (t) => {
+    const engine = replay(t, {
+        style: 'cumulative',
+        events: [
+            { t: 100, transcript: 'one', final: true },
+            { t: 300, transcript: 'two', final: true }
+        ]
+    });
+    engine.start();
+    engine.advance(100);
+    engine.stop();
+    engine.start();
+    engine.advance(200);
+    assert.deepEqual(engine.events.map(shape), [
+        [0, ['one', true]],
+        [0, ['two', true]]
+    ]);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResultStreamNormalizer } from '../result-stream.js';
+
+// A SpeechRecognitionEvent-shaped event: each result is [transcript, isFinal]
+function event(results, resultIndex = results.length - 1) {
+    return {
+        resultIndex,
+        results: results.map(([transcript, isFinal]) => Object.assign([{ transcript, confidence: 0.9 }], { isFinal }))
+    };
+}
+
+function finals(output) {
+    return output.finals.map(final => final.transcript);
+}
+
+function normalizer(cumulative = null) {
+    const stream = new ResultStreamNormalizer();
+    stream.isCumulativePlatform = cumulative;
+    return stream;
+}
+
+test('incremental results pass through one utterance at a time', () => {
+    const stream = normalizer();
+    assert.deepEqual(finals(stream.process(event([['play the peacock', true]]))), ['play the peacock']);
+    assert.deepEqual(finals(stream.process(event([['play the peacock', true], ['now the second', true]]))), ['now the second']);
+    assert.equal(stream.isCumulativePlatform, false);
+});
+
+test('several results finalized in one event are all returned', () => {
+    const stream = normalizer();
+    assert.deepEqual(finals(stream.process(event([['one', true], ['two', true]], 0))), ['one', 'two']);
+});
+
+test('an undecided stream strips a repeated prefix instead of repeating the earlier cue', () => {
+    const stream = normalizer();
+    stream.process(event([['play the peacock', true]]));
+    const second = stream.process(event([['play the peacock', true], ['play the peacock now the second', true]]));
+    assert.deepEqual(finals(second), ['now the second']);
+    assert.equal(second.finals[0].alternatives[0].transcript, 'now the second');
+});
+
+test('two prefixed finals in a row make the stream cumulative', () => {
+    const stream = normalizer();
+    stream.process(event([['play', true]]));
+    stream.process(event([['play', true], ['play the peacock', true]]));
+    const third = stream.process(event([['play', true], ['play the peacock', true], ['play the peacock and the bird', true]]));
+    assert.equal(stream.isCumulativePlatform, true);
+    assert.deepEqual(finals(third), ['and the bird']);
+});
+
+test('cumulative streams strip earlier text from interim results', () => {
+    const stream = normalizer(true);
+    stream.process(event([['play the peacock', true]]));
+    const output = stream.process(event([['play the peacock', true], ['play the peacock now', false]]));
+    assert.equal(output.interim, 'now');
+});
+
+test('undecided streams strip earlier text from interim results too', () => {
+    const stream = normalizer();
+    stream.process(event([['play the peacock', true]]));
+    const output = stream.process(event([['play the peacock', true], ['play the peacock now', false]]));
+    assert.equal(output.interim, 'now');
+});
+
+test('a result re-finalized with more text only yields the addition', () => {
+    const stream = normalizer(false);
+    stream.process(event([['play the', true]]));
+    const output = stream.process(event([['play the peacock', true]], 0));
+    assert.deepEqual(finals(output), ['peacock']);
+});
+
+test('a shorter results list starts over', () => {
+    const stream = normalizer(false);
+    stream.process(event([['one', true], ['two', true]], 0));
+    assert.deepEqual(finals(stream.process(event([['three', true]]))), ['three']);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionRecorder } from '../session-recorder.js';
+
+const START = Date.UTC(2024, 0, 1, 9, 0, 0);
+
+// A recorder whose clock reads START + ms for each entry added through at()
+function recorder(t) {
+    const clock = { now: START };
+    t.mock.method(Date, 'now', () => clock.now);
+    const session = new SessionRecorder();
+    session.start(START);
+    session.at = ms => {
+        clock.now = START + ms;
+        return session;
+    };
+    return session;
+}
+
+test('nothing is recorded before start, and stop/start keeps one timeline', () => {
+    const session = new SessionRecorder();
+    assert.equal(session.add('trigger', {}, START), null);
+    session.start(START);
+    session.start(START + 5000);
+    assert.equal(session.add('trigger', {}, START + 6000).t, 6000);
+    session.clear();
+    assert.equal(session.isRecording, false);
+    assert.deepEqual(session.entries, []);
+});
+
+test('entries are timed relative to the start', (t) => {
+    const session = recorder(t);
+    session.addTranscript('play the peacock', START + 1000, START + 2500);
+    session.at(2600).addTrigger('the peacock', { score: 0.95 });
+    session.at(3000).addPlayback('start', 'the peacock', { source: 'clip' });
+    assert.deepEqual(session.entries, [
+        { type: 'transcript', t: 2500, text: 'play the peacock', start: 1000, end: 2500 },
+        { type: 'trigger', t: 2600, phrase: 'the peacock', score: 0.95 },
+        { type: 'playback-start', t: 3000, phrase: 'the peacock', source: 'clip' }
+    ]);
+    assert.deepEqual(session.toJSON(), { startedAt: '2024-01-01T09:00:00.000Z', entries: session.entries });
+});
+
+test('toCSV quotes fields that need it and keeps extra details as JSON', (t) => {
+    const session = recorder(t);
+    session.addTranscript('well, "play" it', START, START + 1500);
+    session.at(61000).addTrigger('the peacock', { score: 0.9, alternative: 1 });
+    assert.equal(session.toCSV(), [
+        'time_ms,time,type,phrase,text,score,details',
+        '1500,00:00:01.500,transcript,,"well, ""play"" it",,"{""start"":0,""end"":1500}"',
+        '61000,00:01:01.000,trigger,the peacock,,0.900,"{""alternative"":1}"',
+        ''
+    ].join('\r\n'));
+});
+
+test('captions cover transcripts and each cue until its clip ends', (t) => {
+    const session = recorder(t);
+    session.addTranscript('play the peacock', START + 1000, START + 1200);
+    session.at(2000).addPlayback('start', 'the peacock', { source: 'synth' });
+    session.at(3000).addPlayback('start', 'the bird');
+    session.at(4500).addPlayback('end', 'the peacock');
+    assert.deepEqual(session.captionCues(), [
+        { start: 1000, end: 1500, text: 'play the peacock' }, // At least 500 ms on screen
+        { start: 2000, end: 4500, text: '[\u266a Cue: the peacock (synth)]' },
+        { start: 3000, end: 5000, text: '[\u266a Cue: the bird]' } // No end event: 2 s marker
+    ]);
+});
+
+test('SRT and WebVTT timestamps', (t) => {
+    const session = recorder(t);
+    session.addTranscript('hello', START + 3723004, START + 3724000);
+    assert.equal(session.toSRT(), '1\n01:02:03,004 --> 01:02:04,000\nhello\n');
+    assert.equal(session.toWebVTT(), 'WEBVTT\n\n01:02:03.004 --> 01:02:04.000\nhello\n');
+});
+
+test('cue text is escaped so imported phrases cannot break the caption file', (t) => {
+    const session = recorder(t);
+    session.at(1000).addPlayback('start', 'sa <pa> & ni --> sa');
+    session.at(2000).addPlayback('end', 'sa <pa> & ni --> sa');
+    const text = '[\u266a Cue: sa &lt;pa> &amp; ni --&gt; sa]';
+    assert.equal(session.toSRT(), `1\n00:00:01,000 --> 00:00:02,000\n${text}\n`);
+    assert.equal(session.toWebVTT(), `WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n${text}\n`);
+    assert.equal(session.captionCues()[0].text, '[\u266a Cue: sa <pa> & ni --> sa]');
+});
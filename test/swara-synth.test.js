@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTonic, parseNotation, swaraFrequency, synthesizeNotation, SWARA_RATIOS } from '../swara-synth.js';
+
+const close = (actual, expected, tolerance = 0.01) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not close to ${expected}`);
+
+test('parseTonic reads Hz and note names', () => {
+    assert.equal(parseTonic(261.63), 261.63);
+    assert.equal(parseTonic('220'), 220);
+    close(parseTonic('A4'), 440);
+    close(parseTonic('A'), 440);
+    close(parseTonic('C4'), 261.63);
+    close(parseTonic('C#3'), 138.59);
+    close(parseTonic('Db3'), 138.59);
+    assert.equal(parseTonic('H2'), null);
+    assert.equal(parseTonic(0), null);
+    assert.equal(parseTonic(null), null);
+});
+
+test('bare swaras default to the Shankarabharanam variants', () => {
+    const notes = parseNotation('S R G M P D N');
+    assert.deepEqual(notes.map(note => note.swara), ['S', 'R2', 'G3', 'M1', 'P', 'D2', 'N3']);
+    assert.deepEqual(parseNotation('r1 g2 m2').map(note => note.swara), ['R1', 'G2', 'M2']);
+});
+
+test('octave marks move a swara up or down', () => {
+    assert.deepEqual(parseNotation('\u1e60 S\' S\'\' \u1e62 P.').map(note => note.octave), [1, 1, 2, -1, -1]);
+});
+
+test('holds, rests and bar lines', () => {
+    const notes = parseNotation('S, R ; | G - ||');
+    assert.deepEqual(notes.map(note => [note.swara, note.beats]), [['S', 2], ['R2', 3], ['G3', 1], [null, 1]]);
+});
+
+test('parseNotation rejects what it cannot read', () => {
+    assert.throws(() => parseNotation(''), /no swaras/);
+    assert.throws(() => parseNotation(', S'), /cannot start with a hold/);
+    assert.throws(() => parseNotation('S X'), /Unknown swara "X"/);
+    assert.throws(() => parseNotation('P2'), /Unknown swarasthana "P2"/);
+});
+
+test('swaraFrequency applies the ratio and octave to the tonic', () => {
+    assert.equal(swaraFrequency({ ratio: SWARA_RATIOS.P, octave: 0 }, 200), 300);
+    assert.equal(swaraFrequency({ ratio: SWARA_RATIOS.S, octave: 1 }, 200), 400);
+    assert.equal(swaraFrequency({ ratio: SWARA_RATIOS.G3, octave: -1 }, 200), 125);
+});
+
+test('synthesizeNotation renders one beat per swara plus the release, peaking at 0.8', () => {
+    const sampleRate = 8000;
+    const { samples, durationMs, notes } = synthesizeNotation('S R G', { tonic: 'C4', tempo: 120, sampleRate });
+    assert.equal(notes.length, 3);
+    assert.equal(durationMs, 1580); // 3 beats of 500 ms + 80 ms release
+    assert.equal(samples.length, Math.ceil(1.58 * sampleRate));
+    const peak = samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+    close(peak, 0.8, 1e-6);
+});
+
+test('a phrase of rests renders silence', () => {
+    const { samples } = synthesizeNotation('- -', { sampleRate: 8000 });
+    assert.ok(samples.every(value => value === 0));
+});
+
+test('synthesizeNotation rejects an unknown tonic', () => {
+    assert.throws(() => synthesizeNotation('S', { tonic: 'nope' }), /Unknown tonic "nope"/);
+});
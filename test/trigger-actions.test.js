@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeActions, actionClipPaths, mapActionClips, mapActionStrings, ActionRun, runActions } from '../trigger-actions.js';
+
+// Handlers that log each step; play and speak resolve on the next tick like real playback
+function recorder() {
+    const log = [];
+    const later = value => new Promise(resolve => setTimeout(() => resolve(value), 1));
+    return {
+        log,
+        handlers: {
+            play: clip => { log.push(['play', clip.audioFile, clip.startMs, clip.endMs]); return later(); },
+            speak: text => { log.push(['speak', text]); return later(); },
+            show: action => log.push(['show', action.message]),
+            dispatch: (name, detail) => log.push(['event', name, detail])
+        }
+    };
+}
+
+test('normalizeActions fills in defaults for every action type', () => {
+    assert.deepEqual(normalizeActions([
+        { type: 'play', startMs: 500, endMs: -1 },
+        { type: 'sequence', clips: ['audio/sa.mp3', { audioFile: 'audio/pa.mp3', endMs: 800 }] },
+        { type: 'speak', text: 'Now sing along' },
+        { type: 'show', image: 'img/notation.png' },
+        { type: 'wait', durationMs: 0 },
+        { type: 'event', name: 'lesson-step' }
+    ]), [
+        { type: 'play', audioFile: null, startMs: 500, endMs: null },
+        {
+            type: 'sequence',
+            clips: [
+                { type: 'play', audioFile: 'audio/sa.mp3', startMs: null, endMs: null },
+                { type: 'play', audioFile: 'audio/pa.mp3', startMs: null, endMs: 800 }
+            ],
+            gapMs: 0
+        },
+        { type: 'speak', text: 'Now sing along' },
+        { type: 'show', message: null, image: 'img/notation.png', durationMs: null },
+        { type: 'wait', durationMs: 0 },
+        { type: 'event', name: 'lesson-step', detail: null }
+    ]);
+});
+
+test('normalizeActions drops incomplete actions with a warning', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const actions = normalizeActions([
+        { type: 'dance' },
+        { type: 'speak', text: '  ' },
+        { type: 'sequence', clips: [] },
+        { type: 'wait' },
+        null,
+        { type: 'event', name: 'done' }
+    ]);
+    assert.deepEqual(actions, [{ type: 'event', name: 'done', detail: null }]);
+    assert.equal(warn.mock.callCount(), 5);
+    assert.equal(normalizeActions([{ type: 'show' }]), null);
+    assert.equal(normalizeActions('play'), null);
+});
+
+test('clip paths can be listed and renamed', () => {
+    const actions = normalizeActions([
+        { type: 'play' },
+        { type: 'play', audioFile: 'audio/sa.mp3' },
+        { type: 'sequence', clips: ['audio/ri.mp3', { endMs: 100 }] },
+        { type: 'speak', text: 'audio/not-a-clip.mp3' }
+    ]);
+    assert.deepEqual(actionClipPaths(actions), ['audio/sa.mp3', 'audio/ri.mp3']);
+    const renamed = mapActionClips(actions, path => path.replace('audio/', 'pack/'));
+    assert.deepEqual(actionClipPaths(renamed), ['pack/sa.mp3', 'pack/ri.mp3']);
+    assert.equal(renamed[0].audioFile, null);
+    assert.equal(actions[1].audioFile, 'audio/sa.mp3');
+});
+
+test('mapActionStrings fills every string, however deeply nested', () => {
+    const actions = [{ type: 'event', name: 'raga-{raga}', detail: { raga: '{raga}', steps: ['{raga} aarohana', 3] } }];
+    const fill = text => text.replace('{raga}', 'mohana');
+    assert.deepEqual(mapActionStrings(actions, fill), [
+        { type: 'event', name: 'raga-mohana', detail: { raga: 'mohana', steps: ['mohana aarohana', 3] } }
+    ]);
+    assert.equal(mapActionStrings(null, fill), null);
+});
+
+test('runActions runs each step in order, waiting for clips and speech', async () => {
+    const { log, handlers } = recorder();
+    const actions = normalizeActions([
+        { type: 'play', startMs: 0, endMs: 1200 },
+        { type: 'sequence', clips: ['audio/sa.mp3', 'audio/pa.mp3'], gapMs: 5 },
+        { type: 'wait', durationMs: 5 },
+        { type: 'speak', text: 'Now sing along' },
+        { type: 'show', message: 'S R2 G3' },
+        { type: 'event', name: 'lesson-step', detail: { step: 3 } }
+    ]);
+    assert.equal(await runActions(actions, handlers), true);
+    assert.deepEqual(log, [
+        ['play', null, 0, 1200],
+        ['play', 'audio/sa.mp3', null, null],
+        ['play', 'audio/pa.mp3', null, null],
+        ['speak', 'Now sing along'],
+        ['show', 'S R2 G3'],
+        ['event', 'lesson-step', { step: 3 }]
+    ]);
+});
+
+test('cancelling a run cuts a wait short and skips the remaining steps', async () => {
+    const { log, handlers } = recorder();
+    const run = new ActionRun();
+    const started = Date.now();
+    const done = runActions(normalizeActions([
+        { type: 'speak', text: 'one' },
+        { type: 'wait', durationMs: 60000 },
+        { type: 'speak', text: 'two' }
+    ]), handlers, run);
+    setTimeout(() => run.cancel(), 10);
+    assert.equal(await done, false);
+    assert.ok(Date.now() - started < 5000);
+    assert.deepEqual(log, [['speak', 'one']]);
+    await run.wait(60000); // Already cancelled: resolves at once
+});
+
+test('cancelling between sequence clips stops the sequence', async () => {
+    const { log, handlers } = recorder();
+    const run = new ActionRun();
+    handlers.play = clip => {
+        log.push(['play', clip.audioFile]);
+        run.cancel();
+    };
+    const actions = normalizeActions([{ type: 'sequence', clips: ['audio/sa.mp3', 'audio/pa.mp3'], gapMs: 60000 }]);
+    assert.equal(await runActions(actions, handlers, run), false);
+    assert.deepEqual(log, [['play', 'audio/sa.mp3']]);
+});
+
+test('a failing step rejects the run and nothing after it runs', async () => {
+    const { log, handlers } = recorder();
+    handlers.play = async () => {
+        throw new Error('Clip not found');
+    };
+    const actions = normalizeActions([
+        { type: 'speak', text: 'one' },
+        { type: 'play', audioFile: 'audio/missing.mp3' },
+        { type: 'speak', text: 'two' }
+    ]);
+    await assert.rejects(runActions(actions, handlers), /Clip not found/);
+    assert.deepEqual(log, [['speak', 'one']]);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { firingState, recordFiring, resetFiring } from '../trigger-firing.js';
+
+const START = 100000;
+
+// A trigger with no limits, as applyTriggerConfig leaves it, plus the given options
+const trigger = (options = {}) => ({
+    cooldownMs: 0, fireOnce: false, maxCount: null, activeFromMs: null, activeUntilMs: null,
+    fireCount: 0, lastFiredAt: 0, ...options
+});
+
+test('a trigger without limits is always ready', () => {
+    const peacock = trigger();
+    for (let i = 0; i < 5; i++) recordFiring(peacock, START + i);
+    assert.equal(peacock.fireCount, 5);
+    assert.deepEqual(firingState(peacock, START + 5), { state: 'ready' });
+});
+
+test('the cooldown runs from the last firing', () => {
+    const peacock = trigger({ cooldownMs: 2000 });
+    recordFiring(peacock, START);
+    assert.deepEqual(firingState(peacock, START + 500), { state: 'cooling', remainingMs: 1500 });
+    assert.deepEqual(firingState(peacock, START + 2000), { state: 'ready' });
+});
+
+test('fireOnce and maxCount exhaust the trigger', () => {
+    const once = trigger({ fireOnce: true, maxCount: 3 });
+    recordFiring(once, START);
+    assert.deepEqual(firingState(once, START + 1), { state: 'exhausted' });
+
+    const twice = trigger({ maxCount: 2, cooldownMs: 1000 });
+    recordFiring(twice, START);
+    assert.equal(firingState(twice, START + 5000).state, 'ready');
+    recordFiring(twice, START + 5000);
+    assert.deepEqual(firingState(twice, START + 5001), { state: 'exhausted' }); // Before cooling
+});
+
+test('the active window opens and closes relative to the session start', () => {
+    const peacock = trigger({ activeFromMs: 10000, activeUntilMs: 60000 });
+    assert.deepEqual(firingState(peacock, START + 4000, START), { state: 'waiting', remainingMs: 6000 });
+    assert.deepEqual(firingState(peacock, START + 10000, START), { state: 'ready' });
+    assert.deepEqual(firingState(peacock, START + 60000, START), { state: 'ready' });
+    assert.deepEqual(firingState(peacock, START + 60001, START), { state: 'closed' });
+    assert.deepEqual(firingState(peacock, START + 4000), { state: 'ready' }); // No session running
+});
+
+test('an open-ended window only checks the side that is set', () => {
+    assert.equal(firingState(trigger({ activeFromMs: 5000 }), START + 999999, START).state, 'ready');
+    assert.equal(firingState(trigger({ activeUntilMs: 5000 }), START, START).state, 'ready');
+});
+
+test('resetFiring clears the count and the cooldown', () => {
+    const peacock = trigger({ fireOnce: true, cooldownMs: 5000 });
+    recordFiring(peacock, START);
+    resetFiring(peacock);
+    assert.deepEqual(peacock, trigger({ fireOnce: true, cooldownMs: 5000 }));
+    assert.deepEqual(firingState(peacock, START + 1), { state: 'ready' });
+});
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    TriggerMatcher, normalizeWords, levenshtein, metaphone, indicSkeleton, templateSlots, fillTemplate, normalizeVocabulary
+} from '../trigger-matcher.js';
+
+const T = (phrase, extra = {}) => ({ phrase, ...extra });
+
+test('normalizeWords drops punctuation, case and zero-width joiners', () => {
+    assert.deepEqual(normalizeWords('Play, the Peacock!'), ['play', 'the', 'peacock']);
+    assert.deepEqual(normalizeWords('  (again)  '), ['again']);
+    assert.deepEqual(normalizeWords('\u0bb8\u200d\u0bbe\u0964'), ['\u0bb8\u0bbe']);
+});
+
+test('normalizeWords lowercases for the given language', () => {
+    assert.deepEqual(normalizeWords('ISTANBUL', 'tr-TR'), ['\u0131stanbul']);
+    assert.deepEqual(normalizeWords('ISTANBUL'), ['istanbul']);
+});
+
+test('outside English, words sound alike when they differ only in vowel signs', () => {
+    assert.equal(indicSkeleton('\u0b95\u0bbe\u0bb2\u0bae\u0bcd'), '\u0b95\u0bb2\u0bae');
+    const matcher = new TriggerMatcher({ lang: 'ta-IN' });
+    assert.equal(matcher.phonetic('\u0b95\u0bbe\u0bb2\u0bae\u0bcd'), matcher.phonetic('\u0b95\u0bb2\u0bae\u0bcd'));
+    matcher.setLanguage('en-US');
+    assert.equal(matcher.phonetic('dry'), metaphone('dry'));
+});
+
+test('levenshtein', () => {
+    assert.equal(levenshtein('peacock', 'peacock'), 0);
+    assert.equal(levenshtein('peacock', 'peacocks'), 1);
+    assert.equal(levenshtein('kitten', 'sitting'), 3);
+    assert.equal(levenshtein('', 'pa'), 2);
+});
+
+test('metaphone equates common mishearings', () => {
+    assert.equal(metaphone('dry'), metaphone('try'));
+    assert.equal(metaphone('knight'), metaphone('night'));
+    assert.notEqual(metaphone('peacock'), metaphone('pigeon'));
+});
+
+test('findBestMatch matches exact, plural and phonetic forms', () => {
+    const matcher = new TriggerMatcher();
+    assert.equal(matcher.findBestMatch('now play the peacock please', [T('the peacock')]).score, 1);
+    assert.ok(matcher.findBestMatch('the peacocks', [T('the peacock')]));
+    assert.ok(matcher.findBestMatch('a dry', [T('a try')]));
+    assert.equal(matcher.findBestMatch('something else entirely', [T('the peacock')]), null);
+});
+
+test('findBestMatch picks the best scoring trigger and reports what it heard', () => {
+    const matcher = new TriggerMatcher();
+    const match = matcher.findBestMatch('okay now the peacocks', [T('the pigeon'), T('the peacock')]);
+    assert.equal(match.trigger.phrase, 'the peacock');
+    assert.equal(match.matchedText, 'the peacocks');
+});
+
+test('templateSlots and fillTemplate', () => {
+    assert.deepEqual(templateSlots('play {raga} in {Speed}'), ['raga', 'speed']);
+    assert.deepEqual(templateSlots('the peacock'), []);
+    assert.equal(fillTemplate('play raga {raga}', { raga: 'mohana' }), 'play raga mohana');
+    assert.equal(fillTemplate('play raga {raga}', {}), 'play raga {raga}');
+});
+
+test('normalizeVocabulary accepts strings and values with aliases, dropping blanks', () => {
+    assert.deepEqual(normalizeVocabulary(['mohana', { value: 'todi', aliases: ['thodi'] }, { value: ' ' }]), [
+        { value: 'mohana', forms: ['mohana'] },
+        { value: 'todi', forms: ['todi', 'thodi'] }
+    ]);
+});
+
+test('templates expand over slot vocabularies and report the heard value', () => {
+    const matcher = new TriggerMatcher();
+    matcher.setVocabularies({ raga: ['mohana', { value: 'hamsadhvani', aliases: ['hamsa dhvani'] }] });
+    const trigger = T('play raga {raga}');
+    assert.deepEqual(matcher.findBestMatch('play raga mohana', [trigger]).slots, { raga: 'mohana' });
+    assert.deepEqual(matcher.findBestMatch('play raga hamsa dhvani', [trigger]).slots, { raga: 'hamsadhvani' });
+    assert.equal(matcher.findBestMatch('play raga todi', [trigger]), null);
+    assert.equal(matcher.findBestMatch('the peacock', [T('the peacock')]).slots, null);
+});
+
+test('findBestMatch reports the word positions where the phrase was heard', () => {
+    const matcher = new TriggerMatcher();
+    const match = matcher.findBestMatch('okay now the peacock', [T('the peacock')]);
+    assert.equal(match.start, 2);
+    assert.equal(match.end, 3);
+});
+
+test('scattered words far apart do not add up to a match', () => {
+    const matcher = new TriggerMatcher();
+    assert.equal(matcher.findBestMatch('the bird flew over a big old peacock', [T('the peacock')]), null);
+});
+
+test('a per-trigger minScore overrides the matcher threshold either way', () => {
+    const matcher = new TriggerMatcher();
+    assert.equal(matcher.findBestMatch('the peacocks', [T('the peacock', { minScore: 1 })]), null);
+    assert.equal(new TriggerMatcher().findBestMatch('the peacoat', [T('the peacock')]), null);
+    assert.ok(new TriggerMatcher().findBestMatch('the peacoat', [T('the peacock', { minScore: 0.75 })]));
+});
+
+test('alternativeWeight scales by confidence, or by rank when there is none', () => {
+    const matcher = new TriggerMatcher();
+    assert.equal(matcher.alternativeWeight(1, 0), 1);
+    assert.equal(matcher.alternativeWeight(0.5, 3), 0.9);
+    assert.equal(matcher.alternativeWeight(undefined, 0), 1);
+    assert.equal(matcher.alternativeWeight(0, 1), 0.97);
+});
+
+test('matchAlternatives finds a trigger in a lower-ranked alternative', () => {
+    const matcher = new TriggerMatcher();
+    const match = matcher.matchAlternatives([
+        { transcript: 'play the pea cock' },
+        { transcript: 'play the peacock' }
+    ], [T('the peacock')]);
+    assert.equal(match.alternativeIndex, 1);
+    assert.equal(match.transcript, 'play the peacock');
+    assert.equal(match.confidence, null);
+});
+
+test('confidence picks between alternatives that both match', () => {
+    const matcher = new TriggerMatcher();
+    const match = matcher.matchAlternatives([
+        { transcript: 'play the peacock', confidence: 0.3 },
+        { transcript: 'play the pigeon', confidence: 0.9 }
+    ], [T('the peacock'), T('the pigeon')]);
+    assert.equal(match.trigger.phrase, 'the pigeon');
+    assert.equal(match.alternativeIndex, 1);
+});
+
+test('a margin raises the threshold but an exact match still clears it', () => {
+    const matcher = new TriggerMatcher();
+    const match = matcher.matchAlternatives([{ transcript: 'the peacock', confidence: 0.9 }], [T('the peacock')], 0.1);
+    assert.ok(match);
+    assert.equal(match.rawScore, 1);
+    assert.equal(matcher.matchAlternatives([{ transcript: 'the peecock', confidence: 0.9 }], [T('the peacock')], 0.2), null);
+});
+
+test('low recognizer confidence does not fail an exact match', () => {
+    const matcher = new TriggerMatcher();
+    assert.ok(matcher.matchAlternatives([{ transcript: 'the peacock', confidence: 0.2 }], [T('the peacock')]));
+    assert.ok(matcher.matchAlternatives([{ transcript: 'the peacock', confidence: 0 }], [T('the peacock')]));
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VoiceActivityDetector } from '../voice-activity.js';
+
+// A frame whose RMS is the given level
+const frame = level => new Float32Array(256).fill(level);
+const QUIET = frame(0.001); // -60 dB
+const VOICE = frame(0.1); // -20 dB
+
+test('speech is heard well above the noise floor, not at it', () => {
+    const vad = new VoiceActivityDetector();
+    assert.equal(vad.update(QUIET, 0), false);
+    assert.equal(vad.update(QUIET, 20), false);
+    assert.equal(vad.update(VOICE, 40), true);
+    assert.equal(vad.silenceMs(40), 0);
+    assert.equal(vad.update(QUIET, 60), false);
+    assert.equal(vad.silenceMs(260), 220);
+});
+
+test('a level between the off and on thresholds keeps speech going but does not start it', () => {
+    const vad = new VoiceActivityDetector();
+    vad.update(QUIET, 0);
+    const between = frame(0.001 * Math.pow(10, 9 / 20)); // 9 dB over the floor
+    assert.equal(vad.update(between, 20), false);
+
+    vad.reset();
+    vad.update(QUIET, 0);
+    vad.update(VOICE, 20);
+    assert.equal(vad.update(between, 40), true);
+});
+
+test('the floor creeps up to steady noise so it stops counting as speech', () => {
+    const vad = new VoiceActivityDetector();
+    vad.update(QUIET, 0);
+    const fan = frame(0.01); // 20 dB over the quiet room
+    let now = 20;
+    assert.equal(vad.update(fan, now), true);
+    for (let i = 0; i < 1000 && vad.speaking; i++) {
+        now += 20;
+        vad.update(fan, now);
+    }
+    assert.equal(vad.speaking, false);
+    assert.ok(now < 20000, `still speaking after ${now} ms`);
+});
+
+test('waitForPause resolves on silence, counting silence heard before the call', async () => {
+    const vad = new VoiceActivityDetector();
+    const start = Date.now();
+    vad.update(QUIET, start - 1000);
+    vad.update(VOICE, start - 400);
+    vad.update(QUIET, start - 300);
+    const wait = vad.waitForPause({ minSilenceMs: 500, maxWaitMs: 10000 });
+    vad.update(QUIET, start + 50); // 450 ms quiet
+    assert.equal(wait.settled, false);
+    vad.update(QUIET, start + 150);
+    const result = await wait.done;
+    assert.equal(result.reason, 'silence');
+    assert.equal(vad.waits.size, 0);
+});
+
+test('waitForPause times out while the speaker keeps talking', async () => {
+    const vad = new VoiceActivityDetector();
+    vad.update(QUIET, Date.now());
+    vad.update(VOICE, Date.now());
+    const result = await vad.waitForPause({ minSilenceMs: 500, maxWaitMs: 20 }).done;
+    assert.equal(result.reason, 'timeout');
+    assert.ok(result.waitedMs >= 15);
+});
+
+test('a cancelled wait resolves once, as cancelled', async () => {
+    const vad = new VoiceActivityDetector();
+    const wait = vad.waitForPause({ minSilenceMs: 500, maxWaitMs: 10000 });
+    wait.cancel();
+    vad.update(QUIET, Date.now() + 5000);
+    const result = await wait.done;
+    assert.equal(result.reason, 'cancelled');
+    assert.equal(wait.cancelled, true);
+});
+
+test('a fresh detector counts silence from its first frame, not from the epoch', () => {
+    const vad = new VoiceActivityDetector();
+    const start = Date.now();
+    assert.equal(vad.silenceMs(start), 0);
+    const wait = vad.waitForPause({ minSilenceMs: 500, maxWaitMs: 10000 });
+    vad.update(QUIET, start);
+    assert.equal(wait.settled, false);
+    vad.update(QUIET, start + 400);
+    assert.equal(wait.settled, false);
+    vad.update(QUIET, start + 500);
+    assert.equal(wait.settled, true);
+});
+
+test('reset() forgets earlier silence too', () => {
+    const vad = new VoiceActivityDetector();
+    vad.update(QUIET, 0);
+    vad.update(QUIET, 5000);
+    vad.reset();
+    const wait = vad.waitForPause({ minSilenceMs: 500, maxWaitMs: 10000 });
+    vad.update(QUIET, 6000);
+    assert.equal(vad.silenceMs(6000), 0);
+    assert.equal(wait.settled, false);
+    wait.cancel();
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WakeArming, wordsAfterWakePhrase } from '../wake-phrase.js';
+import { TriggerMatcher } from '../trigger-matcher.js';
+
+const START = 100000;
+
+test('a fresh arming is disarmed', () => {
+    const wake = new WakeArming();
+    assert.equal(wake.isArmed(START), false);
+    assert.equal(wake.isExpired(START), false);
+    assert.equal(wake.remainingMs(START), null);
+    assert.equal(wake.disarm(), false);
+});
+
+test('window mode stays armed for the window, then expires', () => {
+    const wake = new WakeArming();
+    wake.arm(START, 'window', 15);
+    assert.equal(wake.isArmed(START + 14999), true);
+    assert.equal(wake.remainingMs(START + 5000), 10000);
+    assert.equal(wake.isArmedForCue, false);
+    assert.equal(wake.isArmed(START + 15000), false);
+    assert.equal(wake.isExpired(START + 15000), true);
+    assert.equal(wake.remainingMs(START + 15000), null);
+    assert.equal(wake.disarm(), true);
+    assert.equal(wake.isExpired(START + 15000), false);
+});
+
+test('cue mode stays armed until disarmed', () => {
+    const wake = new WakeArming();
+    wake.arm(START, 'cue', 15);
+    assert.equal(wake.isArmedForCue, true);
+    assert.equal(wake.isArmed(START + 3600000), true);
+    assert.equal(wake.isExpired(START + 3600000), false);
+    assert.equal(wake.remainingMs(START), null);
+    assert.equal(wake.disarm(), true);
+    assert.equal(wake.isArmed(START), false);
+    assert.equal(wake.isArmedForCue, false);
+});
+
+test('hearing the wake phrase again restarts the window', () => {
+    const wake = new WakeArming();
+    wake.arm(START, 'window', 15);
+    wake.arm(START + 10000, 'window', 15);
+    assert.equal(wake.remainingMs(START + 20000), 5000);
+});
+
+test('only the words after the wake phrase are kept', () => {
+    const matcher = new TriggerMatcher();
+    const alternatives = [
+        { transcript: 'play mohana okay tanpura play kalyani', confidence: 0.9 },
+        { transcript: 'play mohana', confidence: 0.5 }
+    ];
+    assert.deepEqual(wordsAfterWakePhrase(matcher, 'okay tanpura', alternatives), [
+        { transcript: 'play kalyani', confidence: 0.9 },
+        { transcript: '', confidence: 0.5 }
+    ]);
+    assert.deepEqual(wordsAfterWakePhrase(matcher, 'okay tanpura', [{ transcript: 'Okay, tanpura!' }]), [{ transcript: '' }]);
+});
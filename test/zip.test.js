@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { createZip, readZip } from '../zip.js';
+
+const text = bytes => new TextDecoder().decode(bytes);
+
+// A one-entry archive with a deflated entry, the way other zip tools write packs
+function deflatedZip(name, content) {
+    const nameBytes = new TextEncoder().encode(name);
+    const data = deflateRawSync(Buffer.from(content));
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(0, 42);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(1, 8);
+    end.writeUInt16LE(1, 10);
+    end.writeUInt32LE(central.length + nameBytes.length, 12);
+    end.writeUInt32LE(local.length + nameBytes.length + data.length, 16);
+    return new Blob([local, nameBytes, data, central, nameBytes, end]);
+}
+
+test('createZip and readZip round trip strings, bytes and blobs', async () => {
+    const zip = await createZip([
+        { name: 'triggers.json', data: '{"triggers":[]}' },
+        { name: 'audio/peacock.webm', data: new Uint8Array([1, 2, 3, 255]) },
+        { name: 'audio/bird.ogg', data: new Blob([new Uint8Array([9, 8, 7])]) },
+        { name: 'empty.txt', data: new ArrayBuffer(0) }
+    ]);
+    assert.equal(zip.type, 'application/zip');
+
+    const entries = await readZip(zip);
+    assert.deepEqual([...entries.keys()], ['triggers.json', 'audio/peacock.webm', 'audio/bird.ogg', 'empty.txt']);
+    assert.equal(text(entries.get('triggers.json')), '{"triggers":[]}');
+    assert.deepEqual([...entries.get('audio/peacock.webm')], [1, 2, 3, 255]);
+    assert.deepEqual([...entries.get('audio/bird.ogg')], [9, 8, 7]);
+    assert.equal(entries.get('empty.txt').length, 0);
+});
+
+test('entry names keep non-ASCII characters', async () => {
+    const name = 'audio/\u0bae\u0baf\u0bbf\u0bb2\u0bcd.webm';
+    const entries = await readZip(await createZip([{ name, data: 'x' }]));
+    assert.ok(entries.has(name));
+});
+
+test('readZip inflates deflated entries', async () => {
+    const content = 'play the peacock '.repeat(20);
+    const entries = await readZip(deflatedZip('triggers.json', content));
+    assert.equal(text(entries.get('triggers.json')), content);
+});
+
+test('readZip rejects files that are not archives', async () => {
+    await assert.rejects(readZip(new Blob(['just some text, no zip here'])), /Not a zip archive/);
+});
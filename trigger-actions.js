@@ -0,0 +1,171 @@
+// Trigger action pipelines
+//
+// Instead of playing its one clip, a trigger can run an ordered list of actions:
+//   { "type": "play", "audioFile": "audio/sa.mp3", "startMs": 0, "endMs": 1200 }
+//   { "type": "sequence", "clips": ["audio/sa.mp3", { "audioFile": "audio/pa.mp3", "endMs": 800 }], "gapMs": 400 }
+//   { "type": "speak", "text": "Now sing along" }
+//   { "type": "show", "message": "S R2 G3 M1 P D2 N3 Ṡ", "image": "img/notation.png", "durationMs": 8000 }
+//   { "type": "wait", "durationMs": 1000 }
+//   { "type": "event", "name": "lesson-step", "detail": { "step": 3 } }
+// A play action without audioFile plays the trigger's own clip. The app says how each step is
+// carried out (see runActions); this module only validates and sequences them.
+
+export const ACTION_TYPES = ['play', 'sequence', 'speak', 'show', 'wait', 'event'];
+
+function offset(value) {
+    return typeof value === 'number' && value >= 0 ? value : null;
+}
+
+function normalizeClip(clip) {
+    if (typeof clip === 'string') {
+        return { type: 'play', audioFile: clip, startMs: null, endMs: null };
+    }
+    if (!clip || typeof clip !== 'object') return null;
+    return {
+        type: 'play',
+        audioFile: typeof clip.audioFile === 'string' && clip.audioFile ? clip.audioFile : null,
+        startMs: offset(clip.startMs),
+        endMs: offset(clip.endMs)
+    };
+}
+
+function normalizeAction(action) {
+    if (!action || !ACTION_TYPES.includes(action.type)) return null;
+
+    switch (action.type) {
+        case 'play':
+            return normalizeClip(action);
+        case 'sequence': {
+            const clips = (Array.isArray(action.clips) ? action.clips : []).map(normalizeClip).filter(Boolean);
+            return clips.length > 0 ? { type: 'sequence', clips, gapMs: offset(action.gapMs) || 0 } : null;
+        }
+        case 'speak':
+            return typeof action.text === 'string' && action.text.trim() ? { type: 'speak', text: action.text } : null;
+        case 'show':
+            if (!action.message && !action.image) return null;
+            return {
+                type: 'show',
+                message: typeof action.message === 'string' ? action.message : null,
+                image: typeof action.image === 'string' ? action.image : null,
+                durationMs: offset(action.durationMs)
+            };
+        case 'wait':
+            return offset(action.durationMs) !== null ? { type: 'wait', durationMs: action.durationMs } : null;
+        case 'event':
+            return typeof action.name === 'string' && action.name
+                ? { type: 'event', name: action.name, detail: action.detail ?? null }
+                : null;
+    }
+    return null;
+}
+
+// Validate an actions list from triggers.json / localStorage / a pack. Unknown or incomplete
+// actions are dropped with a warning; returns null when nothing usable is left.
+export function normalizeActions(actions) {
+    if (!Array.isArray(actions)) return null;
+    const normalized = actions.map(action => {
+        const result = normalizeAction(action);
+        if (!result) console.warn('Ignoring invalid trigger action:', action);
+        return result;
+    }).filter(Boolean);
+    return normalized.length > 0 ? normalized : null;
+}
+
+// Every clip path an actions list refers to
+export function actionClipPaths(actions) {
+    return (actions || []).flatMap(action => {
+        if (action.type === 'play') return action.audioFile ? [action.audioFile] : [];
+        if (action.type === 'sequence') return action.clips.map(clip => clip.audioFile).filter(Boolean);
+        return [];
+    });
+}
+
+// Copy of an actions list with every clip path passed through rename (e.g. into a pack's audio/)
+export function mapActionClips(actions, rename) {
+    return (actions || []).map(action => {
+        if (action.type === 'play' && action.audioFile) {
+            return { ...action, audioFile: rename(action.audioFile) };
+        }
+        if (action.type === 'sequence') {
+            return { ...action, clips: action.clips.map(clip => clip.audioFile ? { ...clip, audioFile: rename(clip.audioFile) } : clip) };
+        }
+        return action;
+    });
+}
+
+// Copy of an actions list with every string passed through fill (e.g. to put slot values in)
+export function mapActionStrings(actions, fill) {
+    const map = (value) => {
+        if (typeof value === 'string') return fill(value);
+        if (Array.isArray(value)) return value.map(map);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, map(item)]));
+        }
+        return value;
+    };
+    return actions ? map(actions) : actions;
+}
+
+// One execution of a pipeline; cancel() stops it between steps and cuts waits short
+export class ActionRun {
+    constructor() {
+        this.cancelled = false;
+        this.onCancel = new Set();
+    }
+
+    cancel() {
+        if (this.cancelled) return;
+        this.cancelled = true;
+        this.onCancel.forEach(callback => callback());
+        this.onCancel.clear();
+    }
+
+    wait(ms) {
+        if (this.cancelled) return Promise.resolve();
+        return new Promise((resolve) => {
+            const done = () => {
+                clearTimeout(timer);
+                this.onCancel.delete(done);
+                resolve();
+            };
+            const timer = setTimeout(done, ms);
+            this.onCancel.add(done);
+        });
+    }
+}
+
+// Run actions in order. handlers: { play(clip), speak(text), show(action), dispatch(name, detail) };
+// play and speak may return promises and are awaited. Resolves true if the run wasn't cancelled.
+export async function runActions(actions, handlers, run = new ActionRun()) {
+    for (const action of actions) {
+        if (run.cancelled) break;
+
+        switch (action.type) {
+            case 'play':
+                await handlers.play(action);
+                break;
+            case 'sequence':
+                for (const [index, clip] of action.clips.entries()) {
+                    if (index > 0 && action.gapMs) {
+                        await run.wait(action.gapMs);
+                    }
+                    if (run.cancelled) break;
+                    await handlers.play(clip);
+                }
+                break;
+            case 'speak':
+                await handlers.speak(action.text);
+                break;
+            case 'show':
+                handlers.show(action);
+                break;
+            case 'wait':
+                await run.wait(action.durationMs);
+                break;
+            case 'event':
+                handlers.dispatch(action.name, action.detail);
+                break;
+        }
+    }
+    return !run.cancelled;
+}
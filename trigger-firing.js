@@ -0,0 +1,44 @@
+// Per-trigger firing limits
+//
+// A trigger can hold off for cooldownMs after it fires, fire only once (fireOnce) or maxCount
+// times per listening session, and be active only between activeFromMs and activeUntilMs of
+// the session. The counters live on the trigger (fireCount, lastFiredAt); they are runtime
+// state, reset with each session and never saved.
+
+// { state, remainingMs } where state is 'ready', 'cooling' (with remainingMs), 'exhausted',
+// 'waiting' (window not open yet, with remainingMs) or 'closed'. The active window only
+// applies while a session is running (sessionStartTime set).
+export function firingState(trigger, now, sessionStartTime = null) {
+    const limit = trigger.fireOnce ? 1 : trigger.maxCount;
+    if (limit && trigger.fireCount >= limit) {
+        return { state: 'exhausted' };
+    }
+    if (trigger.cooldownMs && trigger.lastFiredAt) {
+        const remainingMs = trigger.lastFiredAt + trigger.cooldownMs - now;
+        if (remainingMs > 0) {
+            return { state: 'cooling', remainingMs };
+        }
+    }
+    const from = trigger.activeFromMs ?? null;
+    const until = trigger.activeUntilMs ?? null;
+    if (sessionStartTime && (from !== null || until !== null)) {
+        const elapsed = now - sessionStartTime;
+        if (from !== null && elapsed < from) {
+            return { state: 'waiting', remainingMs: from - elapsed };
+        }
+        if (until !== null && elapsed > until) {
+            return { state: 'closed' };
+        }
+    }
+    return { state: 'ready' };
+}
+
+export function recordFiring(trigger, now) {
+    trigger.fireCount = (trigger.fireCount || 0) + 1;
+    trigger.lastFiredAt = now;
+}
+
+export function resetFiring(trigger) {
+    trigger.fireCount = 0;
+    trigger.lastFiredAt = 0;
+}
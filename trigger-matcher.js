@@ -0,0 +1,367 @@
+// Fuzzy trigger phrase matching
+//
+// Each trigger phrase is scored against a transcript by aligning its words, in order, to
+// transcript words. A word pair scores by spelling (edit distance) or sound (Metaphone code),
+// whichever is better, so recognizer mishearings like "a dry" for "a try" or "the peacocks"
+// for "the peacock" still match. Matched words may only be a few words apart, and every
+// skipped word in between costs a little, so scattered words in a long sentence don't add up
+// to a match.
+//
+// A phrase can be a template with slots - "play raga {raga}" - where each {slot} matches one
+// value of a named vocabulary. Templates are expanded into one phrase per value (and per
+// spoken alias), and the best-scoring expansion says which value was heard.
+
+export const DEFAULT_MIN_SCORE = 0.85;
+export const DEFAULT_MAX_GAP = 2; // Max transcript words allowed between two matched trigger words
+const GAP_PENALTY = 0.1; // Score lost per skipped transcript word
+const PLURAL_SCORE = 0.95; // Score of a plural/possessive form of the expected word ("peacocks")
+const PHONETIC_SCORE = 0.9; // Score of a word that only sounds the same
+const MIN_WORD_SCORE = 0.5; // Below this a word counts as not matched at all
+export const DEFAULT_CONFIDENCE_WEIGHT = 0.2; // How much engine confidence can pull a score down
+const UNKNOWN_CONFIDENCE_RANK_PENALTY = 0.03; // Per-rank penalty when the engine reports no confidence
+const MAX_TEMPLATE_EXPANSIONS = 1000; // Guard against multi-slot templates exploding
+const SLOT_PATTERN = /\{(\w+)\}/g;
+
+// Split text into comparable words. NFC keeps Indic vowel signs composed the same way whatever
+// the engine emitted, zero-width (non-)joiners are dropped, and dandas count as punctuation.
+export function normalizeWords(text, lang = 'en-US') {
+    return text
+        .normalize('NFC')
+        .toLocaleLowerCase(lang)
+        .replace(/[\u200B-\u200D\uFEFF]/g, '')
+        .replace(/[.,!?;:"()\[\]\u0964\u0965]/g, ' ')
+        .split(/\s+/)
+        .filter(w => w.length > 0);
+}
+
+// Slot names in a template phrase, in order: "play {raga} in {speed}" -> ['raga', 'speed']
+export function templateSlots(phrase) {
+    return [...phrase.matchAll(SLOT_PATTERN)].map(m => m[1].toLowerCase());
+}
+
+// Put slot values into a template: fillTemplate('play raga {raga}', { raga: 'mohana' })
+export function fillTemplate(phrase, slots) {
+    return phrase.replace(SLOT_PATTERN, (placeholder, name) => slots[name.toLowerCase()] ?? placeholder);
+}
+
+// Vocabulary entries are plain values or { value, aliases } for values recognizers split or
+// misspell ("hamsadhvani" heard as "hamsa dhvani"). Returns [{ value, forms }].
+export function normalizeVocabulary(entries) {
+    return (entries || []).map(entry => {
+        if (typeof entry === 'string') {
+            return { value: entry, forms: [entry] };
+        }
+        const aliases = Array.isArray(entry.aliases) ? entry.aliases : [];
+        return { value: entry.value, forms: [entry.value, ...aliases] };
+    }).filter(entry => typeof entry.value === 'string' && entry.value.trim());
+}
+
+export function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+const VOWELS = 'AEIOU';
+
+function isVowel(ch) {
+    return !!ch && VOWELS.includes(ch);
+}
+
+// Simplified Metaphone - good enough to equate common English mishearings (dry/try, night/knight)
+export function metaphone(word) {
+    let w = word.toUpperCase().replace(/[^A-Z]/g, '');
+    if (!w) return '';
+
+    if (/^(KN|GN|PN|AE|WR)/.test(w)) w = w.slice(1);
+    if (w[0] === 'X') w = 'S' + w.slice(1);
+    if (w.startsWith('WH')) w = 'W' + w.slice(2);
+
+    let code = '';
+    for (let i = 0; i < w.length; i++) {
+        const ch = w[i];
+        const prev = w[i - 1];
+        const next = w[i + 1];
+        const next2 = w[i + 2];
+
+        // Skip doubled letters except C
+        if (ch === prev && ch !== 'C') continue;
+
+        switch (ch) {
+            case 'A': case 'E': case 'I': case 'O': case 'U':
+                if (i === 0) code += ch;
+                break;
+            case 'B':
+                if (!(prev === 'M' && i === w.length - 1)) code += 'B';
+                break;
+            case 'C':
+                if (next === 'I' && next2 === 'A') code += 'X';
+                else if (next === 'H') code += prev === 'S' ? 'K' : 'X';
+                else if ('IEY'.includes(next || '-')) {
+                    if (prev !== 'S') code += 'S';
+                } else code += 'K';
+                break;
+            case 'D':
+                code += next === 'G' && 'EIY'.includes(next2 || '-') ? 'J' : 'T';
+                break;
+            case 'G':
+                if (next === 'H' && next2 && !isVowel(next2)) break;
+                if (next === 'N' && (i + 2 === w.length || (next2 === 'E' && w[i + 3] === 'D'))) break;
+                if (prev === 'D' && 'EIY'.includes(next || '-')) break;
+                code += 'EIY'.includes(next || '-') ? 'J' : 'K';
+                break;
+            case 'H':
+                if (isVowel(next) && !'CSPTG'.includes(prev || '-')) code += 'H';
+                break;
+            case 'K':
+                if (prev !== 'C') code += 'K';
+                break;
+            case 'P':
+                code += next === 'H' ? 'F' : 'P';
+                break;
+            case 'Q':
+                code += 'K';
+                break;
+            case 'S':
+                if (next === 'H' || (next === 'I' && (next2 === 'O' || next2 === 'A'))) code += 'X';
+                else code += 'S';
+                break;
+            case 'T':
+                if (next === 'I' && (next2 === 'O' || next2 === 'A')) code += 'X';
+                else if (next === 'H') code += '0';
+                else if (!(next === 'C' && next2 === 'H')) code += 'T';
+                break;
+            case 'V':
+                code += 'F';
+                break;
+            case 'W': case 'Y':
+                if (isVowel(next)) code += ch;
+                break;
+            case 'X':
+                code += 'KS';
+                break;
+            case 'Z':
+                code += 'S';
+                break;
+            default:
+                code += ch;
+        }
+    }
+    return code;
+}
+
+// Phonetic key for Brahmic scripts (Tamil, Telugu, Kannada, Devanagari, ...): drop vowel signs,
+// viramas and nasal marks and keep the consonant skeleton, much like Metaphone drops vowels
+export function indicSkeleton(word) {
+    return word.normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+export class TriggerMatcher {
+    constructor(options = {}) {
+        this.minScore = options.minScore ?? DEFAULT_MIN_SCORE;
+        this.maxGap = options.maxGap ?? DEFAULT_MAX_GAP;
+        this.confidenceWeight = options.confidenceWeight ?? DEFAULT_CONFIDENCE_WEIGHT;
+        this.lang = options.lang || 'en-US';
+        this.phoneticCache = new Map();
+        this.vocabularies = new Map(); // Slot name -> [{ value, forms }]
+        this.expansionCache = new Map(); // Phrase -> [{ words, slots }]
+    }
+
+    setLanguage(lang) {
+        this.lang = lang;
+        this.phoneticCache.clear();
+        this.expansionCache.clear();
+    }
+
+    // vocabularies: { slotName: ['value', { value, aliases: [...] }, ...] }
+    setVocabularies(vocabularies = {}) {
+        this.vocabularies = new Map(Object.entries(vocabularies)
+            .map(([name, entries]) => [name.toLowerCase(), normalizeVocabulary(entries)]));
+        this.expansionCache.clear();
+    }
+
+    // Every concrete wording of a phrase: [{ words, slots }] where slots is null for plain
+    // phrases, else { slotName: value }. A slot without a vocabulary can't match anything.
+    expandPhrase(phrase) {
+        if (this.expansionCache.has(phrase)) {
+            return this.expansionCache.get(phrase);
+        }
+
+        let expansions = [{ words: [], slots: templateSlots(phrase).length > 0 ? {} : null }];
+        for (const word of normalizeWords(phrase, this.lang)) {
+            const slot = word.match(/^\{(\w+)\}$/);
+            if (!slot) {
+                expansions.forEach(expansion => expansion.words.push(word));
+                continue;
+            }
+
+            const name = slot[1];
+            const entries = this.vocabularies.get(name) || [];
+            const next = [];
+            for (const expansion of expansions) {
+                for (const entry of entries) {
+                    for (const form of entry.forms) {
+                        next.push({
+                            words: [...expansion.words, ...normalizeWords(form, this.lang)],
+                            slots: { ...expansion.slots, [name]: entry.value }
+                        });
+                    }
+                }
+            }
+            if (next.length > MAX_TEMPLATE_EXPANSIONS) {
+                console.warn(`Template "${phrase}" has too many combinations, using the first ${MAX_TEMPLATE_EXPANSIONS}`);
+            }
+            expansions = next.slice(0, MAX_TEMPLATE_EXPANSIONS);
+        }
+
+        this.expansionCache.set(phrase, expansions);
+        return expansions;
+    }
+
+    phonetic(word) {
+        if (!this.phoneticCache.has(word)) {
+            // Metaphone only understands English spelling; other languages use the script skeleton
+            const code = this.lang.startsWith('en') ? metaphone(word) : indicSkeleton(word);
+            this.phoneticCache.set(word, code);
+        }
+        return this.phoneticCache.get(word);
+    }
+
+    wordScore(heard, expected) {
+        if (heard === expected) return 1;
+        if (heard.replace(/'?e?s$/, '') === expected) return PLURAL_SCORE;
+
+        const distance = levenshtein(heard, expected);
+        const spelling = 1 - distance / Math.max(heard.length, expected.length);
+        const heardCode = this.phonetic(heard);
+        const sound = heardCode && heardCode === this.phonetic(expected) ? PHONETIC_SCORE : 0;
+        return Math.max(spelling, sound);
+    }
+
+    // Best in-order alignment of phrase words onto transcript words.
+    // Returns { score, start, end } (word indexes into transcriptWords) or null.
+    scorePhrase(transcriptWords, phraseWords) {
+        if (phraseWords.length === 0 || transcriptWords.length === 0) return null;
+
+        // Longer words carry more weight so "a"/"to" can't dominate a phrase score
+        const weights = phraseWords.map(w => Math.max(1, w.length));
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+        // best[j] = best { score, start } with the current phrase word matched at transcript word j
+        let best = transcriptWords.map((word, j) => {
+            const s = this.wordScore(word, phraseWords[0]);
+            return s >= MIN_WORD_SCORE ? { score: s * weights[0], start: j } : null;
+        });
+
+        for (let i = 1; i < phraseWords.length; i++) {
+            const next = transcriptWords.map(() => null);
+            for (let j = 0; j < transcriptWords.length; j++) {
+                const s = this.wordScore(transcriptWords[j], phraseWords[i]);
+                if (s < MIN_WORD_SCORE) continue;
+
+                for (let k = Math.max(0, j - this.maxGap - 1); k < j; k++) {
+                    if (!best[k]) continue;
+                    const gap = j - k - 1;
+                    const candidate = best[k].score + s * weights[i] - gap * GAP_PENALTY * totalWeight;
+                    if (!next[j] || candidate > next[j].score) {
+                        next[j] = { score: candidate, start: best[k].start };
+                    }
+                }
+            }
+            best = next;
+        }
+
+        let bestEnd = -1;
+        best.forEach((entry, j) => {
+            if (entry && (bestEnd < 0 || entry.score > best[bestEnd].score)) {
+                bestEnd = j;
+            }
+        });
+        if (bestEnd < 0) return null;
+        return { score: best[bestEnd].score / totalWeight, start: best[bestEnd].start, end: bestEnd };
+    }
+
+    // Score every trigger against the transcript and return the best one that clears
+    // its threshold: { trigger, score, rawScore, matchedText, start, end, slots } or null,
+    // where start/end are the matched word indexes into normalizeWords(transcript) and slots
+    // holds the heard slot values of a template trigger (null for plain phrases).
+    // margin raises the threshold, capped at 1 so an exact match always clears it
+    findBestMatch(transcript, triggers, margin = 0) {
+        const transcriptWords = normalizeWords(transcript, this.lang);
+        let bestMatch = null;
+
+        for (const trigger of triggers) {
+            const minScore = Math.min(1, (trigger.minScore ?? this.minScore) + margin);
+            for (const expansion of this.expandPhrase(trigger.phrase || '')) {
+                const result = this.scorePhrase(transcriptWords, expansion.words);
+                if (!result) continue;
+
+                const score = result.score;
+                if (score >= minScore && (!bestMatch || score > bestMatch.score)) {
+                    bestMatch = {
+                        trigger,
+                        score,
+                        rawScore: score,
+                        matchedText: transcriptWords.slice(result.start, result.end + 1).join(' '),
+                        start: result.start,
+                        end: result.end,
+                        slots: expansion.slots
+                    };
+                }
+            }
+        }
+
+        return bestMatch;
+    }
+
+    // Weight for an alternative's score. Engines report confidence in 0..1, but some (Chrome)
+    // report 0 for everything except the top alternative - treat that as unknown and just
+    // prefer earlier alternatives slightly.
+    alternativeWeight(confidence, rank) {
+        if (typeof confidence === 'number' && confidence > 0) {
+            return 1 - this.confidenceWeight * (1 - Math.min(1, confidence));
+        }
+        return 1 - UNKNOWN_CONFIDENCE_RANK_PENALTY * rank;
+    }
+
+    // Match against every recognition alternative ([{ transcript, confidence }], best first) and
+    // return the best confidence-weighted match: { trigger, score, rawScore, matchedText,
+    // alternativeIndex, transcript, confidence } or null. rawScore is what cleared the
+    // threshold; score is it weighted by confidence, which only picks between alternatives -
+    // engines report low or no confidence for correct short phrases all the time.
+    // margin raises every trigger's threshold (e.g. for speech heard over our own playback)
+    matchAlternatives(alternatives, triggers, margin = 0) {
+        let bestMatch = null;
+
+        alternatives.forEach((alternative, index) => {
+            const transcript = (alternative.transcript || '').trim();
+            if (!transcript) return;
+
+            const match = this.findBestMatch(transcript, triggers, margin);
+            if (!match) return;
+            const score = match.rawScore * this.alternativeWeight(alternative.confidence, index);
+            if (!bestMatch || score > bestMatch.score) {
+                bestMatch = {
+                    ...match,
+                    score,
+                    alternativeIndex: index,
+                    transcript,
+                    confidence: alternative.confidence ?? null
+                };
+            }
+        });
+
+        return bestMatch;
+    }
+}
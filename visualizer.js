@@ -0,0 +1,211 @@
+// Live audio visualization: mic level meter, playback spectrogram and pitch trace
+//
+// Reads two AnalyserNodes on the shared AudioContext - the mic (MicInput) and the playback
+// engine's output - once per animation frame. The pitch trace scrolls right to left with a
+// gridline for every swarasthana relative to the tonic, so gamakas show up as curves between
+// them: blue for the mic, orange for the playing clip.
+
+import { rms, detectPitch, centsBetween, swaraForFrequency, SWARA_GRID } from './pitch.js';
+
+const METER_FLOOR_DB = -60;
+const PEAK_HOLD_MS = 1000;
+const PITCH_EVERY_FRAMES = 3; // YIN is the expensive part; 20 estimates a second is plenty
+const SPECTROGRAM_MAX_HZ = 4000;
+const TRACE_MIN_CENTS = -700; // Mandra sthayi Pa...
+const TRACE_MAX_CENTS = 1900; // ...to tara sthayi Pa
+const MIC_COLOR = '#1e88e5';
+const PLAYBACK_COLOR = '#fb8c00';
+
+function octaveMark(octave) {
+    // Dot above for the upper octave, below for the lower
+    if (octave > 0) return '\u0307';
+    if (octave < 0) return '\u0323';
+    return '';
+}
+
+export class Visualizer {
+    // elements: { levelFill, levelPeak, levelText, spectrogramCanvas, pitchCanvas, pitchText }
+    // sources: { tonicHz() - current Sa, isPlaying() - whether a clip is playing }
+    constructor(elements, sources) {
+        this.elements = elements;
+        this.sources = sources;
+        this.micInput = null;
+        this.playbackAnalyser = null;
+        this.playbackSamples = null;
+        this.playbackSpectrum = null;
+        this.frame = null;
+        this.frameCount = 0;
+        this.peak = { db: METER_FLOOR_DB, at: 0 };
+        this.trace = []; // One { mic, playback } pitch (Hz or null) per pixel column
+        this.lastPitch = { mic: null, playback: null };
+    }
+
+    get isRunning() {
+        return this.frame !== null;
+    }
+
+    attach(micInput, playbackAnalyser) {
+        this.micInput = micInput;
+        this.playbackAnalyser = playbackAnalyser;
+        if (playbackAnalyser) {
+            this.playbackSamples = new Float32Array(playbackAnalyser.fftSize);
+            this.playbackSpectrum = new Uint8Array(playbackAnalyser.frequencyBinCount);
+        }
+    }
+
+    start() {
+        if (this.frame !== null) return;
+        const tick = () => {
+            this.frame = requestAnimationFrame(tick);
+            this.draw();
+        };
+        this.frame = requestAnimationFrame(tick);
+    }
+
+    stop() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
+
+    draw() {
+        this.frameCount++;
+        const micSamples = this.micInput ? this.micInput.read() : null;
+        const playing = !!this.playbackAnalyser && this.sources.isPlaying();
+        if (playing) {
+            this.playbackAnalyser.getFloatTimeDomainData(this.playbackSamples);
+        }
+
+        this.drawLevel(micSamples);
+        if (playing) {
+            this.drawSpectrogramColumn();
+        }
+
+        if (this.frameCount % PITCH_EVERY_FRAMES === 0) {
+            const sampleRate = this.playbackAnalyser ? this.playbackAnalyser.context.sampleRate : 48000;
+            const estimate = (samples) => {
+                const pitch = samples ? detectPitch(samples, sampleRate) : null;
+                return pitch && pitch.clarity > 0.8 ? pitch.frequency : null;
+            };
+            this.lastPitch = {
+                mic: estimate(micSamples),
+                playback: playing ? estimate(this.playbackSamples) : null
+            };
+            this.drawPitchReadout();
+        }
+        this.drawPitchTrace();
+    }
+
+    drawLevel(samples) {
+        const { levelFill, levelPeak, levelText } = this.elements;
+        if (!levelFill) return;
+
+        const level = samples ? rms(samples) : 0;
+        const db = level > 0 ? Math.max(METER_FLOOR_DB, 20 * Math.log10(level)) : METER_FLOOR_DB;
+        const now = performance.now();
+        if (db >= this.peak.db || now - this.peak.at > PEAK_HOLD_MS) {
+            this.peak = { db, at: now };
+        }
+        const percent = (value) => `${Math.round((value - METER_FLOOR_DB) / -METER_FLOOR_DB * 100)}%`;
+        levelFill.style.width = percent(db);
+        levelFill.classList.toggle('hot', db > -6);
+        if (levelPeak) levelPeak.style.left = percent(this.peak.db);
+        if (levelText) {
+            levelText.textContent = samples ? `${Math.round(db)} dB` : 'Mic off';
+        }
+    }
+
+    drawSpectrogramColumn() {
+        const canvas = this.elements.spectrogramCanvas;
+        if (!canvas) return;
+        const context = canvas.getContext('2d');
+        const { width, height } = canvas;
+
+        // Scroll left one pixel and paint the newest column on the right
+        context.drawImage(canvas, -1, 0);
+        this.playbackAnalyser.getByteFrequencyData(this.playbackSpectrum);
+        const nyquist = this.playbackAnalyser.context.sampleRate / 2;
+        const bins = Math.min(this.playbackSpectrum.length, Math.ceil(this.playbackSpectrum.length * SPECTROGRAM_MAX_HZ / nyquist));
+        for (let y = 0; y < height; y++) {
+            const bin = Math.floor((1 - y / height) * (bins - 1));
+            const value = this.playbackSpectrum[bin] / 255;
+            context.fillStyle = `hsl(${Math.round(260 - value * 220)}, 90%, ${Math.round(value * 60)}%)`;
+            context.fillRect(width - 1, y, 1, 1);
+        }
+    }
+
+    drawPitchReadout() {
+        // Nearest swara to what the mic hears, e.g. "G3 +12¢"
+        const { pitchText } = this.elements;
+        const tonicHz = this.sources.tonicHz();
+        if (!pitchText) return;
+        if (!this.lastPitch.mic || !tonicHz) {
+            pitchText.textContent = '–';
+            return;
+        }
+        const { swara, octave, cents } = swaraForFrequency(this.lastPitch.mic, tonicHz);
+        const rounded = Math.round(cents);
+        pitchText.textContent = `${swara}${octaveMark(octave)} ${rounded >= 0 ? '+' : ''}${rounded}¢ (${this.lastPitch.mic.toFixed(1)} Hz)`;
+    }
+
+    drawPitchTrace() {
+        const canvas = this.elements.pitchCanvas;
+        if (!canvas) return;
+        const context = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const tonicHz = this.sources.tonicHz();
+
+        this.trace.push({ ...this.lastPitch });
+        if (this.trace.length > width) {
+            this.trace.splice(0, this.trace.length - width);
+        }
+
+        const yFor = (cents) => height * (1 - (cents - TRACE_MIN_CENTS) / (TRACE_MAX_CENTS - TRACE_MIN_CENTS));
+        context.clearRect(0, 0, width, height);
+
+        // Swara gridlines; Sa and Pa stronger since everything else is heard against them
+        context.font = '10px sans-serif';
+        context.textBaseline = 'middle';
+        for (let octave = -1; octave <= 1; octave++) {
+            SWARA_GRID.forEach(({ swara, cents }) => {
+                const position = octave * 1200 + cents;
+                if (position < TRACE_MIN_CENTS || position > TRACE_MAX_CENTS) return;
+                const y = Math.round(yFor(position)) + 0.5;
+                const strong = swara === 'S' || swara === 'P';
+                context.strokeStyle = strong ? 'rgba(102, 126, 234, 0.6)' : 'rgba(0, 0, 0, 0.08)';
+                context.beginPath();
+                context.moveTo(24, y);
+                context.lineTo(width, y);
+                context.stroke();
+                context.fillStyle = strong ? '#667eea' : '#999';
+                context.fillText(swara + octaveMark(octave), 2, y);
+            });
+        }
+
+        // Traces: newest on the right
+        const offset = width - this.trace.length;
+        [['mic', MIC_COLOR], ['playback', PLAYBACK_COLOR]].forEach(([key, color]) => {
+            context.strokeStyle = color;
+            context.lineWidth = 2;
+            context.beginPath();
+            let drawing = false;
+            this.trace.forEach((point, index) => {
+                const frequency = point[key];
+                if (!frequency || !tonicHz) {
+                    drawing = false;
+                    return;
+                }
+                const y = yFor(centsBetween(tonicHz, frequency));
+                if (drawing) {
+                    context.lineTo(offset + index, y);
+                } else {
+                    context.moveTo(offset + index, y);
+                    drawing = true;
+                }
+            });
+            context.stroke();
+            context.lineWidth = 1;
+        });
+    }
+}
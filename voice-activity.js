@@ -0,0 +1,113 @@
+// Voice activity detection for the pause before playback
+//
+// An energy detector on the analysis mic: a frame is speech when it is well above the noise
+// floor, and the floor adapts to the room - it drops straight to anything quieter, and creeps
+// up towards steady noise (a fan, traffic) so that doesn't count as talking forever. Speech
+// starts at ON_DB above the floor and only ends below OFF_DB, so a level hovering at the
+// threshold doesn't flicker. waitForPause() resolves once the speaker has been quiet for
+// minSilenceMs, or when maxWaitMs runs out, whichever comes first.
+
+import { rms } from './pitch.js';
+
+export const DEFAULT_MIN_SILENCE_MS = 500;
+const ON_DB = 12; // Above the floor by this much: speech starts
+const OFF_DB = 6; // Below floor + this: speech ends
+const MIN_FLOOR_DB = -90; // Digital silence would otherwise drag the floor to -Infinity
+const FLOOR_RISE_SILENT = 0.05; // Per update, fraction of the gap the floor closes while quiet
+const FLOOR_RISE_SPEAKING_DB_PER_S = 1; // Slow enough that speech itself isn't absorbed
+
+function toDb(level) {
+    return level > 0 ? Math.max(MIN_FLOOR_DB, 20 * Math.log10(level)) : MIN_FLOOR_DB;
+}
+
+export class PauseWait {
+    constructor(minSilenceMs, maxWaitMs, startedAt) {
+        this.minSilenceMs = minSilenceMs;
+        this.startedAt = startedAt;
+        this.cancelled = false;
+        this.settled = false;
+        // Resolves to { reason: 'silence' | 'timeout' | 'cancelled', waitedMs }
+        this.done = new Promise(resolve => {
+            this.resolve = resolve;
+        });
+        this.timer = setTimeout(() => this.finish('timeout'), maxWaitMs);
+    }
+
+    finish(reason, now = Date.now()) {
+        if (this.settled) return;
+        this.settled = true;
+        clearTimeout(this.timer);
+        this.resolve({ reason, waitedMs: now - this.startedAt });
+    }
+
+    cancel() {
+        this.cancelled = true;
+        this.finish('cancelled');
+    }
+}
+
+export class VoiceActivityDetector {
+    constructor() {
+        this.waits = new Set(); // Pending PauseWaits, settled from update()
+        this.reset();
+    }
+
+    // Forget the room; the next frame starts a new noise floor. Pending waits keep waiting.
+    reset() {
+        this.floorDb = null;
+        this.levelDb = MIN_FLOOR_DB;
+        this.speaking = false;
+        this.lastVoiceAt = null; // Set by the first frame: silence counts from when we started hearing
+        this.lastUpdateAt = 0;
+    }
+
+    // How long the speaker has been quiet, or 0 while they are talking (or before any frame)
+    silenceMs(now = Date.now()) {
+        return this.speaking || this.lastVoiceAt === null ? 0 : now - this.lastVoiceAt;
+    }
+
+    // Feed one frame of mic samples; returns whether the speaker is talking
+    update(samples, now = Date.now()) {
+        const db = toDb(samples ? rms(samples) : 0);
+        const elapsed = this.lastUpdateAt ? Math.min(now - this.lastUpdateAt, 1000) : 0;
+        this.levelDb = db;
+        this.lastUpdateAt = now;
+        if (this.lastVoiceAt === null) {
+            this.lastVoiceAt = now;
+        }
+
+        if (this.floorDb === null || db < this.floorDb) {
+            this.floorDb = db;
+        } else if (this.speaking) {
+            this.floorDb = Math.min(db, this.floorDb + FLOOR_RISE_SPEAKING_DB_PER_S * elapsed / 1000);
+        } else {
+            this.floorDb += (db - this.floorDb) * FLOOR_RISE_SILENT;
+        }
+
+        const aboveFloor = db - this.floorDb;
+        if (aboveFloor >= ON_DB || (this.speaking && aboveFloor >= OFF_DB)) {
+            this.speaking = true;
+            this.lastVoiceAt = now;
+        } else {
+            this.speaking = false;
+        }
+
+        const silence = this.silenceMs(now);
+        this.waits.forEach(wait => {
+            if (silence >= wait.minSilenceMs) {
+                wait.finish('silence', now);
+            }
+        });
+        return this.speaking;
+    }
+
+    // Wait for the speaker to pause. Silence already heard before the call counts, so a
+    // result that arrives after the speaker stopped doesn't wait all over again.
+    // If nothing feeds update(), this is a plain maxWaitMs timer.
+    waitForPause({ minSilenceMs = DEFAULT_MIN_SILENCE_MS, maxWaitMs }) {
+        const wait = new PauseWait(minSilenceMs, maxWaitMs, Date.now());
+        this.waits.add(wait);
+        wait.done.then(() => this.waits.delete(wait));
+        return wait;
+    }
+}
@@ -0,0 +1,35 @@
+// AudioWorklet processor that forwards microphone samples to the main thread for Vosk
+// Render quanta are only 128 frames, so we batch them into larger chunks before posting
+
+const CHUNK_SIZE = 4096;
+
+class VoskCaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.chunk = new Float32Array(CHUNK_SIZE);
+        this.offset = 0;
+    }
+
+    process(inputs) {
+        const channel = inputs[0] && inputs[0][0];
+        if (!channel) return true;
+
+        let read = 0;
+        while (read < channel.length) {
+            const count = Math.min(channel.length - read, CHUNK_SIZE - this.offset);
+            this.chunk.set(channel.subarray(read, read + count), this.offset);
+            this.offset += count;
+            read += count;
+
+            if (this.offset === CHUNK_SIZE) {
+                // Transfer ownership of the full chunk and start a fresh one
+                this.port.postMessage(this.chunk, [this.chunk.buffer]);
+                this.chunk = new Float32Array(CHUNK_SIZE);
+                this.offset = 0;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('vosk-capture', VoskCaptureProcessor);
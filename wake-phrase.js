@@ -0,0 +1,55 @@
+// Wake-phrase arming
+//
+// With a wake phrase set, triggers stay disarmed until it's heard. Hearing it arms them for a
+// window of seconds ('window' mode) or for the next cue only ('cue' mode), in which case the
+// trigger that fires uses the arming up. Only the words said after the wake phrase are matched
+// against the triggers, so "play mohana, okay tanpura" doesn't fire "play mohana".
+
+import { normalizeWords } from './trigger-matcher.js';
+
+export class WakeArming {
+    constructor() {
+        this.armed = null; // { at, until } while armed; until is null when armed for one cue
+    }
+
+    arm(now, mode, windowS) {
+        this.armed = { at: now, until: mode === 'cue' ? null : now + windowS * 1000 };
+    }
+
+    // Returns whether it was armed
+    disarm() {
+        const wasArmed = !!this.armed;
+        this.armed = null;
+        return wasArmed;
+    }
+
+    isArmed(now) {
+        return !!this.armed && (this.armed.until === null || now < this.armed.until);
+    }
+
+    // Armed, but the window ran out; the caller disarms
+    isExpired(now) {
+        return !!this.armed && !this.isArmed(now);
+    }
+
+    get isArmedForCue() {
+        return !!this.armed && this.armed.until === null;
+    }
+
+    // Time left in the window; null when not armed or armed for one cue
+    remainingMs(now) {
+        if (!this.isArmed(now) || this.armed.until === null) return null;
+        return this.armed.until - now;
+    }
+}
+
+// The alternatives with each transcript cut to the words after the wake phrase ('' where an
+// alternative doesn't contain it), as heard by the given matcher
+export function wordsAfterWakePhrase(matcher, phrase, alternatives) {
+    const wakeTrigger = { phrase };
+    return alternatives.map(alternative => {
+        const heard = matcher.findBestMatch(alternative.transcript, [wakeTrigger]);
+        const rest = heard ? normalizeWords(alternative.transcript, matcher.lang).slice(heard.end + 1).join(' ') : '';
+        return { ...alternative, transcript: rest };
+    });
+}